@@ -0,0 +1,64 @@
+// Import or export problem packages directly against the database.
+//
+//   npm run problem:import -- <package.zip> [more.zip ...]
+//   npm run problem:export -- <problemId> [output.zip]
+//
+// Uses MONGODB_URI from config.env, like the server. The package format is
+// described in src/utils/problemPackage.js.
+import fs from 'fs';
+import mongoose from 'mongoose';
+import connectDB from '../src/utils/database.js';
+import Problem from '../src/models/Problem.js';
+import { PackageError, importProblemPackage, writeProblemPackage } from '../src/utils/problemPackage.js';
+import { ReferenceSolutionError } from '../src/utils/referenceSolutions.js';
+
+const usage = () => {
+  console.error('Usage: problem-package.js import <package.zip> [more.zip ...]');
+  console.error('       problem-package.js export <problemId> [output.zip]');
+  process.exit(1);
+};
+
+async function importPackages(files) {
+  let failed = 0;
+  for (const file of files) {
+    try {
+      const { problem, created } = await importProblemPackage(fs.readFileSync(file));
+      console.log(`${created ? 'Created' : 'Updated'} ${problem._id} "${problem.title}" from ${file}`);
+    } catch (error) {
+      failed += 1;
+      console.error(`${file}: ${error.message}`);
+      if (error instanceof PackageError) {
+        for (const message of error.errors) console.error(`  - ${message}`);
+      }
+      if (error instanceof ReferenceSolutionError) {
+        for (const result of error.results.filter(r => !r.passed)) {
+          const where = result.failedTest ? ` on test ${result.failedTest}` : '';
+          console.error(`  - ${result.name}: expected ${result.expectedVerdict}, got ${result.status}${where}`);
+        }
+      }
+    }
+  }
+  return failed === 0;
+}
+
+async function exportPackage(problemId, output = `problem-${problemId}.zip`) {
+  const problem = mongoose.isValidObjectId(problemId) ? await Problem.findById(problemId) : null;
+  if (!problem) {
+    console.error(`Problem not found: ${problemId}`);
+    return false;
+  }
+  fs.writeFileSync(output, await writeProblemPackage(problem));
+  console.log(`Exported "${problem.title}" to ${output}`);
+  return true;
+}
+
+const [command, ...args] = process.argv.slice(2);
+if (!['import', 'export'].includes(command) || args.length === 0) usage();
+
+await connectDB();
+try {
+  const ok = command === 'import' ? await importPackages(args) : await exportPackage(...args);
+  process.exitCode = ok ? 0 : 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -1,14 +1,23 @@
+import { matchedData } from 'express-validator';
 import Contest from '../models/Contest.js';
 import ContestResult from '../models/ContestResult.js';
 import Problem from '../models/Problem.js';
+import StandingsSnapshot from '../models/StandingsSnapshot.js';
+import { getStandingsAround, getStandingsPage, invalidateFrozenStandings } from '../utils/leaderboard.js';
+import { emitToAdmins, emitToContest } from '../utils/realtime.js';
+import { transition } from '../utils/contestScheduler.js';
+import { resolveView, toPublicProblem, toPublicStanding } from '../utils/projections.js';
+import { revealNextCell } from '../utils/resolver.js';
+import { createContestResult } from '../utils/scoring.js';
 // Simplified to align with minimal DB shape
 
 // @desc    Get all contests
 // @route   GET /api/contests
-// @access  Public
+// @access  Public (drafts are only listed for admins)
 export const getContests = async (req, res) => {
   try {
-    const contests = await Contest.find({}).sort({ startTime: -1 });
+    const filter = req.user?.role === 'admin' ? {} : { status: { $ne: 'draft' } };
+    const contests = await Contest.find(filter).sort({ startTime: -1 });
 
     // Optionally attach totalPossibleScore per contest in list for consistency
     const contestsWithTotals = await Promise.all(contests.map(async (c) => {
@@ -17,7 +26,7 @@ export const getContests = async (req, res) => {
         const ids = Array.isArray(obj.problems) ? obj.problems.map((p) => p.problemId) : [];
         let totalPossibleScore = 0;
         if (ids.length > 0) {
-          const probs = await Problem.find({ _id: { $in: ids } }, { testCases: 1, points: 1 });
+          const probs = await Problem.find({ _id: { $in: ids } }, { 'testCases.points': 1, points: 1 });
           const map = new Map(probs.map((p) => [String(p._id), p]));
           for (const p of (obj.problems || [])) {
             const full = map.get(String(p.problemId)) || {};
@@ -52,12 +61,20 @@ export const getContests = async (req, res) => {
 
 // @desc    Get single contest
 // @route   GET /api/contests/:id
-// @access  Public
+// @access  Public (admins may pass ?view=admin for full problem documents)
 export const getContest = async (req, res) => {
   try {
+    const view = resolveView(req);
+    if (!view) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.'
+      });
+    }
+
     const contest = await Contest.findById(req.params.id);
 
-    if (!contest) {
+    if (!contest || (contest.status === 'draft' && req.user?.role !== 'admin')) {
       return res.status(404).json({
         success: false,
         message: 'Contest not found'
@@ -124,6 +141,31 @@ export const getContest = async (req, res) => {
       response.totalPossibleScore = totalPossibleScore;
     } catch {}
 
+    // Dynamic scoring: what an accepted solution is worth right now
+    if (contest.scoringMode === 'dynamic') {
+      const now = new Date();
+      const entries = new Map(contest.problems.map(p => [String(p.problemId), p]));
+      response.problems = response.problems.map((entry) => {
+        const config = entries.get(String(entry.problemId?._id));
+        if (!config) return entry;
+        return {
+          ...entry,
+          minPoints: contest.minPointsFor(config),
+          attemptPenalty: config.attemptPenalty,
+          currentValue: contest.problemValue(config, now)
+        };
+      });
+      response.totalPossibleScore = contest.problems.reduce((sum, p) => sum + (p.points || 0), 0);
+    }
+
+    // Totals above need every test case; only admins see them afterwards
+    if (view !== 'admin') {
+      response.problems = response.problems.map((entry) => ({
+        ...entry,
+        problemId: toPublicProblem(entry.problemId)
+      }));
+    }
+
     res.status(200).json({ success: true, data: response });
   } catch (error) {
     console.error('Get contest error:', error);
@@ -140,7 +182,10 @@ export const getContest = async (req, res) => {
 // @access  Private (Admin only)
 export const createContest = async (req, res) => {
   try {
-    const { title, description, problems, startTime, duration, rules } = req.body;
+    const {
+      title, description, problems, startTime, duration, freezeDuration,
+      scoringMode, penaltyMinutes, rules, status
+    } = req.body;
 
     let contest;
 
@@ -150,7 +195,11 @@ export const createContest = async (req, res) => {
       problems,
       startTime: new Date(startTime),
       duration,
+      freezeDuration,
+      scoringMode,
+      penaltyMinutes,
       rules,
+      status: status === 'draft' ? 'draft' : 'scheduled',
       createdBy: req.user?.id
     });
 
@@ -161,7 +210,7 @@ export const createContest = async (req, res) => {
     });
   } catch (error) {
     console.error('Create contest error:', error);
-    res.status(500).json({
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       success: false,
       message: 'Failed to create contest',
       error: error.message
@@ -169,6 +218,184 @@ export const createContest = async (req, res) => {
   }
 };
 
+// @desc    Update contest
+// @route   PATCH /api/contests/:id
+// @access  Private (Admin only)
+export const updateContest = async (req, res) => {
+  try {
+    const { extendBy, status, ...fields } = matchedData(req, { locations: ['body'] });
+
+    const contest = await Contest.findById(req.params.id);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contest not found'
+      });
+    }
+
+    const isRunning = ['running', 'frozen'].includes(contest.status);
+    const isClosed = ['ended', 'finalized', 'cancelled'].includes(contest.status);
+
+    // Problems, timing and scoring are locked once a contest starts
+    const lockedEdits = ['problems', 'startTime', 'duration', 'freezeDuration', 'scoringMode', 'penaltyMinutes']
+      .filter((f) => f in fields);
+    if ((isRunning || isClosed) && lockedEdits.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change ${lockedEdits.join(', ')} once a contest is ${contest.status}`
+          + (isRunning ? '; use extendBy to extend it' : '')
+      });
+    }
+
+    if (extendBy !== undefined && !isRunning) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only a running contest can be extended'
+      });
+    }
+
+    if (status !== undefined && !['draft', 'scheduled'].includes(contest.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft or scheduled contests can be published or unpublished'
+      });
+    }
+
+    contest.set(fields);
+    if (status !== undefined) contest.status = status;
+    if (extendBy !== undefined) contest.duration += extendBy;
+    await contest.save();
+
+    if (extendBy !== undefined) {
+      // The freeze moves with the end time
+      invalidateFrozenStandings(contest._id);
+      // An extension can move a frozen contest back out of the freeze window
+      const next = contest.scheduledStatus();
+      if (next !== contest.status) {
+        await transition(contest, next);
+      }
+      emitToContest(contest._id, 'contest:extended', {
+        contestId: contest._id,
+        extendBy,
+        endTime: contest.endTime,
+        extendedBy: req.user.id
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Contest updated successfully',
+      data: contest
+    });
+  } catch (error) {
+    console.error('Update contest error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Failed to update contest',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Cancel contest
+// @route   DELETE /api/contests/:id
+// @access  Private (Admin only)
+export const cancelContest = async (req, res) => {
+  try {
+    const contest = await Contest.findById(req.params.id);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contest not found'
+      });
+    }
+
+    if (['finalized', 'cancelled'].includes(contest.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Contest is already ${contest.status}`
+      });
+    }
+
+    const cancelled = await transition(contest, 'cancelled');
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Contest status changed, please retry'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Contest cancelled successfully',
+      data: { id: contest._id, status: contest.status }
+    });
+  } catch (error) {
+    console.error('Cancel contest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel contest',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reveal the next frozen scoreboard cell
+// @route   POST /api/contests/:id/resolver/step
+// @access  Private (Admin only)
+export const stepResolver = async (req, res) => {
+  try {
+    const contest = await Contest.findById(req.params.id);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contest not found'
+      });
+    }
+
+    if (contest.status !== 'finalized') {
+      return res.status(400).json({
+        success: false,
+        message: 'The resolver can only run once the contest is finalized'
+      });
+    }
+
+    if (!contest.freezeStartsAt()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contest has no scoreboard freeze'
+      });
+    }
+
+    if (contest.resolver.completedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Scoreboard has already been resolved'
+      });
+    }
+
+    const step = await revealNextCell(contest);
+    if (!step) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another resolver step revealed this cell, please retry'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: step
+    });
+  } catch (error) {
+    console.error('Resolver step error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reveal the next cell',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Join contest
 // @route   POST /api/contests/:id/join
 // @access  Private
@@ -186,6 +413,13 @@ export const joinContest = async (req, res) => {
       });
     }
 
+    if (['draft', 'cancelled'].includes(contest.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contest is not open for registration'
+      });
+    }
+
     // Check if contest has started
     if (new Date() < new Date(contest.startTime)) {
       return res.status(400).json({
@@ -214,31 +448,15 @@ export const joinContest = async (req, res) => {
       });
     }
 
-    const allProblems = Array.isArray(contest.problems) && contest.problems.length > 0
-      ? contest.problems
-      : (await Problem.find({})).map((p, idx) => ({ problemId: p._id, order: idx + 1, points: p.points || 100 }));
-
-    // Fetch problems to compute accurate maxScore per problem from test case points
-    const problemDocs = await Problem.find({ _id: { $in: allProblems.map(p => p.problemId) } }, { testCases: 1, points: 1 });
-    const probMap = new Map(problemDocs.map(p => [String(p._id), p]));
+    // Same rows the judge creates for a first submission
+    const contestResult = await createContestResult(userId, contest);
 
-    const contestResult = await ContestResult.create({
+    invalidateFrozenStandings(contestId);
+    emitToAdmins('moderation:participant-joined', {
       userId,
+      name: req.user.name,
       contestId,
-      problemResults: allProblems.map(p => {
-        const full = probMap.get(String(p.problemId));
-        let maxScore = Number(p.points) || 0;
-        if (full && Array.isArray(full.testCases) && full.testCases.length > 0) {
-          maxScore = full.testCases.reduce((s, tc) => s + (Number(tc.points) || 0), 0);
-        } else if (full && typeof full.points === 'number') {
-          maxScore = Number(full.points) || 0;
-        }
-        return {
-          problemId: p.problemId,
-          maxScore,
-          status: 'not_attempted'
-        };
-      })
+      at: new Date().toISOString()
     });
 
     res.status(200).json({
@@ -258,24 +476,39 @@ export const joinContest = async (req, res) => {
 
 // @desc    Get contest leaderboard
 // @route   GET /api/contests/:id/leaderboard
-// @access  Public
+// @access  Public (admins may pass ?view=admin to see through a freeze)
 export const getContestLeaderboard = async (req, res) => {
   try {
+    const view = resolveView(req);
+    if (!view) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.'
+      });
+    }
+
     const contestId = req.params.id;
-    const leaderboard = await ContestResult.find({ contestId })
-      .populate('userId', 'name email')
-      .sort({ totalScore: -1, totalTime: 1 })
-      .limit(100);
-
-    // Add ranks
-    const rankedLeaderboard = leaderboard.map((result, index) => ({
-      ...result.toObject ? result.toObject() : result,
-      rank: index + 1
-    }));
+    const contest = await Contest.findById(contestId);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contest not found'
+      });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const { rows, total } = await getStandingsPage(contest, { view, skip: (page - 1) * limit, limit });
 
     res.status(200).json({
       success: true,
-      data: rankedLeaderboard
+      frozen: view === 'public' && contest.isScoreboardFrozen(),
+      count: rows.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: view === 'admin' ? rows : rows.map(toPublicStanding)
     });
   } catch (error) {
     console.error('Get leaderboard error:', error);
@@ -287,6 +520,97 @@ export const getContestLeaderboard = async (req, res) => {
   }
 };
 
+// @desc    Get the current user's leaderboard position with neighbours
+// @route   GET /api/contests/:id/leaderboard/me
+// @access  Private
+export const getMyLeaderboardPosition = async (req, res) => {
+  try {
+    const contestId = req.params.id;
+    const around = Math.min(10, Math.max(0, parseInt(req.query.around) || 2));
+
+    const contest = await Contest.findById(contestId);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contest not found'
+      });
+    }
+
+    const position = await getStandingsAround(contest, req.user.id, { around });
+    if (!position) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not joined this contest'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      frozen: contest.isScoreboardFrozen(),
+      data: {
+        rank: position.entry.rank,
+        total: position.total,
+        entry: toPublicStanding(position.entry),
+        neighbours: position.neighbours.map(toPublicStanding)
+      }
+    });
+  } catch (error) {
+    console.error('Get leaderboard position error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch your leaderboard position',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get official standings (latest snapshot or ?version=N)
+// @route   GET /api/contests/:id/standings
+// @access  Public (hidden until the frozen scoreboard is resolved, except for admins)
+export const getContestStandings = async (req, res) => {
+  try {
+    const contest = await Contest.findById(req.params.id);
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contest not found'
+      });
+    }
+
+    if (contest.isScoreboardFrozen() && req.user?.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Official standings are published once the scoreboard is resolved'
+      });
+    }
+
+    const version = req.query.version ? parseInt(req.query.version) : contest.standingsVersion;
+    const snapshot = version
+      ? await StandingsSnapshot.findOne({ contestId: contest._id, version })
+      : null;
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: req.query.version ? 'Standings version not found' : 'Official standings are not available yet'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      latestVersion: contest.standingsVersion,
+      data: snapshot
+    });
+  } catch (error) {
+    console.error('Get standings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch standings',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get user's contest result
 // @route   GET /api/contests/:id/my-result
 // @access  Private
@@ -295,8 +619,11 @@ export const getMyContestResult = async (req, res) => {
     const contestId = req.params.id;
     const userId = req.user.id;
 
-    const result = await ContestResult.findOne({ contestId, userId })
-      .populate('problemResults.problemId', 'title difficulty tags');
+    const [result, contest] = await Promise.all([
+      ContestResult.findOne({ contestId, userId })
+        .populate('problemResults.problemId', 'title difficulty tags'),
+      Contest.findById(contestId)
+    ]);
 
     if (!result) {
       return res.status(404).json({
@@ -305,9 +632,16 @@ export const getMyContestResult = async (req, res) => {
       });
     }
 
+    // The official rank stays hidden until the frozen scoreboard is resolved,
+    // as with the official standings
+    const data = result.toObject();
+    if (contest?.isScoreboardFrozen()) {
+      delete data.rank;
+    }
+
     res.status(200).json({
       success: true,
-      data: result
+      data
     });
   } catch (error) {
     console.error('Get my result error:', error);
@@ -0,0 +1,322 @@
+import { matchedData } from 'express-validator';
+import Problem from '../models/Problem.js';
+import { JudgeBusyError } from '../utils/judgeQueue.js';
+import { PUBLIC_LIST_FIELDS, resolveView, toPublicProblem } from '../utils/projections.js';
+import { PackageError, importProblemPackage, writeProblemPackage } from '../utils/problemPackage.js';
+import {
+  ReferenceSolutionError,
+  checkReferenceSolutions,
+  verifyReferenceSolutions
+} from '../utils/referenceSolutions.js';
+import { TestDataError, buildTestData, validateInputs } from '../utils/testGeneration.js';
+
+// @desc    Get problems
+// @route   GET /api/problems
+// @access  Public (admins may pass ?view=admin to include inactive problems)
+export const getProblems = async (req, res) => {
+  try {
+    const view = resolveView(req);
+    if (!view) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.'
+      });
+    }
+    const adminView = view === 'admin';
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const filter = adminView ? {} : { isActive: true };
+    if (req.query.difficulty) filter.difficulty = req.query.difficulty;
+    if (req.query.tag) filter.tags = req.query.tag;
+
+    const [problems, total] = await Promise.all([
+      Problem.find(filter)
+        .select(adminView ? `${PUBLIC_LIST_FIELDS} isActive updatedAt` : PUBLIC_LIST_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Problem.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: problems.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: problems
+    });
+  } catch (error) {
+    console.error('Get problems error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch problems',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single problem
+// @route   GET /api/problems/:id
+// @access  Public (admins may pass ?view=admin for the full document)
+export const getProblem = async (req, res) => {
+  try {
+    const view = resolveView(req);
+    if (!view) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.'
+      });
+    }
+    const adminView = view === 'admin';
+
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem || (!problem.isActive && !adminView)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: adminView ? problem : toPublicProblem(problem)
+    });
+  } catch (error) {
+    console.error('Get problem error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch problem',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create problem
+// @route   POST /api/problems
+// @access  Private (Admin only)
+export const createProblem = async (req, res) => {
+  try {
+    const problem = new Problem({
+      ...matchedData(req, { locations: ['body'] }),
+      createdBy: req.user.id
+    });
+    await buildTestData(problem);
+    await checkReferenceSolutions(problem);
+    await problem.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Problem created successfully',
+      data: problem
+    });
+  } catch (error) {
+    if (error instanceof JudgeBusyError) {
+      return res.status(503).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create problem error:', error);
+    const invalid = error instanceof TestDataError || error instanceof ReferenceSolutionError
+      || error.name === 'ValidationError';
+    res.status(invalid ? 400 : 500).json({
+      success: false,
+      message: 'Failed to create problem',
+      error: error.message,
+      ...(error instanceof TestDataError && { errors: error.errors }),
+      ...(error instanceof ReferenceSolutionError && { referenceSolutions: error.results })
+    });
+  }
+};
+
+// @desc    Update problem
+// @route   PATCH /api/problems/:id
+// @access  Private (Admin only)
+export const updateProblem = async (req, res) => {
+  try {
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    problem.set(matchedData(req, { locations: ['body'] }));
+    await buildTestData(problem);
+    await checkReferenceSolutions(problem);
+    await problem.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Problem updated successfully',
+      data: problem
+    });
+  } catch (error) {
+    if (error instanceof JudgeBusyError) {
+      return res.status(503).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Update problem error:', error);
+    const invalid = error instanceof TestDataError || error instanceof ReferenceSolutionError
+      || error.name === 'ValidationError';
+    res.status(invalid ? 400 : 500).json({
+      success: false,
+      message: 'Failed to update problem',
+      error: error.message,
+      ...(error instanceof TestDataError && { errors: error.errors }),
+      ...(error instanceof ReferenceSolutionError && { referenceSolutions: error.results })
+    });
+  }
+};
+
+// @desc    Delete (deactivate) problem
+// @route   DELETE /api/problems/:id
+// @access  Private (Admin only)
+export const deleteProblem = async (req, res) => {
+  try {
+    // Soft delete: contests and past submissions still reference the problem
+    const problem = await Problem.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false, updatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Problem deactivated successfully',
+      data: { id: problem._id, isActive: problem.isActive }
+    });
+  } catch (error) {
+    console.error('Delete problem error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete problem',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Validate the test inputs and judge the reference solutions against the current tests
+// @route   POST /api/problems/:id/verify
+// @access  Private (Admin only)
+export const verifyProblem = async (req, res) => {
+  try {
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    const invalidInputs = problem.inputValidator?.code ? await validateInputs(problem) : [];
+    const results = await verifyReferenceSolutions(problem);
+    await problem.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        passed: invalidInputs.length === 0 && results.every(result => result.passed),
+        isActive: problem.isActive,
+        invalidInputs,
+        referenceSolutions: results
+      }
+    });
+  } catch (error) {
+    if (error instanceof JudgeBusyError) {
+      return res.status(503).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Verify problem error:', error);
+    res.status(error instanceof TestDataError ? 400 : 500).json({
+      success: false,
+      message: 'Failed to verify problem',
+      error: error.message,
+      ...(error instanceof TestDataError && { errors: error.errors })
+    });
+  }
+};
+
+// @desc    Import a problem package (creates, or updates the problem named by its id)
+// @route   POST /api/problems/import
+// @access  Private (Admin only)
+export const importProblem = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload the package zip in the "package" field'
+      });
+    }
+
+    const { problem, created } = await importProblemPackage(req.file.buffer, { createdBy: req.user.id });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Problem imported successfully' : 'Problem updated from package',
+      data: problem
+    });
+  } catch (error) {
+    if (error instanceof JudgeBusyError) {
+      return res.status(503).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Import problem error:', error);
+    const invalid = error instanceof PackageError || error instanceof TestDataError
+      || error instanceof ReferenceSolutionError || error.name === 'ValidationError';
+    res.status(invalid ? 400 : 500).json({
+      success: false,
+      message: 'Failed to import problem',
+      error: error.message,
+      ...((error instanceof PackageError || error instanceof TestDataError) && { errors: error.errors }),
+      ...(error instanceof ReferenceSolutionError && { referenceSolutions: error.results })
+    });
+  }
+};
+
+// @desc    Export a problem package
+// @route   GET /api/problems/:id/export
+// @access  Private (Admin only)
+export const exportProblem = async (req, res) => {
+  try {
+    const problem = await Problem.findById(req.params.id);
+
+    if (!problem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    res.set('Content-Type', 'application/zip');
+    res.attachment(`problem-${problem._id}.zip`);
+    res.send(await writeProblemPackage(problem));
+  } catch (error) {
+    console.error('Export problem error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export problem',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,96 @@
+import Contest from '../models/Contest.js';
+import Problem from '../models/Problem.js';
+import Submission from '../models/Submission.js';
+import { judgeQueue } from '../utils/judgeQueue.js';
+import { requestRejudge } from '../utils/rejudge.js';
+
+// Queue the rejudge and answer with the batch; progress follows over Socket.IO
+async function startRejudge(req, res, { scope, filter }) {
+  const batch = await requestRejudge(filter, {
+    scope,
+    targetId: req.params.id,
+    requestedBy: req.user.id
+  });
+  judgeQueue.enqueue();
+
+  res.status(202).json({
+    success: true,
+    message: `Rejudging ${batch.total} submission(s)`,
+    data: {
+      batchId: batch._id,
+      scope: batch.scope,
+      total: batch.total
+    }
+  });
+}
+
+const rejudgeFailed = (res, error) => {
+  console.error('Rejudge error:', error);
+  res.status(500).json({
+    success: false,
+    message: 'Failed to start rejudge',
+    error: error.message
+  });
+};
+
+// @desc    Rejudge one submission
+// @route   POST /api/submissions/:id/rejudge
+// @access  Private (Admin only)
+export const rejudgeSubmission = async (req, res) => {
+  try {
+    const submission = await Submission.findById(req.params.id).select('status rejudge');
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    if (['pending', 'running'].includes(submission.status) || submission.rejudge) {
+      return res.status(409).json({
+        success: false,
+        message: 'Submission is still being judged'
+      });
+    }
+
+    await startRejudge(req, res, { scope: 'submission', filter: { _id: submission._id } });
+  } catch (error) {
+    rejudgeFailed(res, error);
+  }
+};
+
+// @desc    Rejudge every submission to a problem
+// @route   POST /api/problems/:id/rejudge
+// @access  Private (Admin only)
+export const rejudgeProblem = async (req, res) => {
+  try {
+    if (!await Problem.exists({ _id: req.params.id })) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
+      });
+    }
+
+    await startRejudge(req, res, { scope: 'problem', filter: { problemId: req.params.id } });
+  } catch (error) {
+    rejudgeFailed(res, error);
+  }
+};
+
+// @desc    Rejudge every submission in a contest
+// @route   POST /api/contests/:id/rejudge
+// @access  Private (Admin only)
+export const rejudgeContest = async (req, res) => {
+  try {
+    if (!await Contest.exists({ _id: req.params.id })) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contest not found'
+      });
+    }
+
+    await startRejudge(req, res, { scope: 'contest', filter: { contestId: req.params.id } });
+  } catch (error) {
+    rejudgeFailed(res, error);
+  }
+};
@@ -1,7 +1,13 @@
 import ContestResult from '../models/ContestResult.js';
 import Problem from '../models/Problem.js';
 import Contest from '../models/Contest.js';
-import { CodeRunner } from '../utils/codeRunner.js';
+import Submission from '../models/Submission.js';
+import { CodeRunner, CompilationError } from '../utils/codeRunner.js';
+import { combineWithHarness } from '../utils/judge.js';
+import { JudgeBusyError, judgeQueue } from '../utils/judgeQueue.js';
+import { createContestResult, recomputeContestResult } from '../utils/scoring.js';
+import { emitToAdmins } from '../utils/realtime.js';
+import { toOwnSubmission } from '../utils/projections.js';
 
 const codeRunner = new CodeRunner();
 
@@ -23,8 +29,7 @@ export const submitSolution = async (req, res) => {
     }
 
     // Check if contest is currently running
-    const now = new Date();
-    if (now < contest.startTime || now > contest.endTime) {
+    if (!contest.isOpen()) {
       return res.status(400).json({
         success: false,
         message: 'Contest is not currently running'
@@ -33,8 +38,7 @@ export const submitSolution = async (req, res) => {
 
     // Check if problem exists in contest
     const problemInContest = (Array.isArray(contest.problems) ? contest.problems : []).find(p => p.problemId.toString() === problemId);
-    const pointsForProblem = problemInContest ? problemInContest.points : (await Problem.findById(problemId))?.points || 100;
-    
+
     if (!problemInContest) {
       return res.status(400).json({
         success: false,
@@ -42,8 +46,16 @@ export const submitSolution = async (req, res) => {
       });
     }
 
-    // Get problem details with test cases
-    const problem = await Problem.findById(problemId);
+    // Participants who submitted their final results are locked out
+    const locked = await ContestResult.exists({ userId, contestId, isCompleted: true });
+    if (locked) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your results for this contest are final'
+      });
+    }
+
+    const problem = await Problem.exists({ _id: problemId });
     if (!problem) {
       return res.status(404).json({
         success: false,
@@ -51,59 +63,104 @@ export const submitSolution = async (req, res) => {
       });
     }
 
-    // Run code against test cases
-    try {
-      const combinedCode = combineWithHarness(code, language, problem);
-      const testResults = await codeRunner.runCode(combinedCode, language, problem.testCases);
-
-      // Update submission with results
-      // Score is calculated as the sum of points for each passed test case (from DB)
-      const perTestPoints = Array.isArray(problem.testCases)
-        ? problem.testCases.map(tc => Number(tc.points) || 0)
-        : [];
-      const maxScore = perTestPoints.reduce((s, p) => s + p, 0);
-      const score = testResults.reduce((sum, r, idx) => {
-        const pts = perTestPoints[idx] || 0;
-        return sum + (r.passed ? pts : 0);
-      }, 0);
-
-      // Update contest result
-      await updateContestResult(userId, contestId, problemId, {
-        score,
-        totalExecutionTime: testResults.reduce((s, r) => s + (r.executionTime || 0), 0),
-        status: score === maxScore ? 'accepted' : (score > 0 ? 'partial' : 'attempted')
+    // Queue the attempt; a judge worker picks it up and moves it through
+    // pending -> running -> <verdict>
+    const submission = await Submission.create({
+      userId,
+      contestId,
+      problemId,
+      code,
+      language,
+      status: 'pending'
+    });
+    judgeQueue.enqueue();
+
+    res.status(202).json({
+      success: true,
+      message: 'Solution queued for judging',
+      data: {
+        submissionId: submission._id,
+        status: submission.status,
+        submittedAt: submission.submittedAt
+      }
+    });
+  } catch (error) {
+    console.error('Submit solution error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit solution',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Run code against the public examples or custom input (not graded)
+// @route   POST /api/submissions/run
+// @access  Private
+export const runSolution = async (req, res) => {
+  try {
+    const { problemId, code, language, input } = req.body;
+
+    const problem = await Problem.findById(problemId);
+    if (!problem || (!problem.isActive && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Problem not found'
       });
+    }
 
-      res.status(200).json({
-        success: true,
-        message: 'Solution submitted successfully',
-        data: {
-          status: score === maxScore ? 'accepted' : (score > 0 ? 'partial' : 'attempted'),
-          score,
-          maxScore,
-          testResults,
-          totalExecutionTime: testResults.reduce((s, r) => s + (r.executionTime || 0), 0)
+    const options = { timeLimit: problem.timeLimit, memoryLimit: problem.memoryLimit, checker: problem.checker };
+    const combinedCode = combineWithHarness(code, language, problem);
+
+    let runs;
+    try {
+      // Runs take a judge slot like graded submissions do
+      runs = await judgeQueue.runExclusive(async () => {
+        if (input !== undefined) {
+          return [await codeRunner.runCustom(combinedCode, language, input, options)];
         }
+        const examples = (problem.examples || []).map(example => ({
+          input: example.input,
+          expectedOutput: example.output
+        }));
+        return codeRunner.runCode(combinedCode, language, examples, options);
       });
-
-    } catch (executionError) {
-      res.status(200).json({
+    } catch (error) {
+      if (error instanceof JudgeBusyError) {
+        return res.status(503).json({
+          success: false,
+          message: error.message
+        });
+      }
+      if (!(error instanceof CompilationError)) throw error;
+      return res.status(200).json({
         success: true,
-        message: 'Solution submitted with errors',
-        data: {
-          status: 'runtime_error',
-          score: 0,
-          maxScore: problemInContest.points,
-          error: executionError.message
-        }
+        data: { status: 'compilation_error', compileOutput: error.compileOutput, results: [] }
       });
     }
 
+    res.status(200).json({
+      success: true,
+      data: {
+        status: 'completed',
+        results: runs.map(run => ({
+          status: run.status,
+          output: run.output,
+          stderr: run.error,
+          exitCode: run.exitCode,
+          signal: run.signal,
+          time: run.executionTime,
+          wallTime: run.wallTime,
+          memory: run.memoryUsed,
+          checkerMessage: run.checkerMessage
+        }))
+      }
+    });
   } catch (error) {
-    console.error('Submit solution error:', error);
+    console.error('Run solution error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to submit solution',
+      message: 'Failed to run code',
       error: error.message
     });
   }
@@ -116,11 +173,30 @@ export const getContestSubmissions = async (req, res) => {
   try {
     const { contestId } = req.params;
     const userId = req.user.id;
-    // No per-attempt persistence; respond with empty list for compatibility
-    const submissions = [];
+    const { problemId, status } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const filter = { userId, contestId };
+    if (problemId) filter.problemId = problemId;
+    if (status) filter.status = status;
+
+    const [submissions, total] = await Promise.all([
+      Submission.find(filter)
+        .select('-code -testResults.output -testResults.error -testResults.checkerMessage -compileOutput')
+        .populate('problemId', 'title difficulty')
+        .sort({ submittedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Submission.countDocuments(filter)
+    ]);
 
     res.status(200).json({
       success: true,
+      count: submissions.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
       data: submissions
     });
   } catch (error) {
@@ -135,12 +211,41 @@ export const getContestSubmissions = async (req, res) => {
 
 // @desc    Get single submission
 // @route   GET /api/submissions/:id
-// @access  Private
+// @access  Private (owner or admin)
 export const getSubmission = async (req, res) => {
   try {
+    const submission = await Submission.findById(req.params.id)
+      .populate('problemId', 'title difficulty');
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    if (submission.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (req.user.role === 'admin') {
+      return res.status(200).json({
+        success: true,
+        data: submission
+      });
+    }
+
+    const problem = await Problem.findById(submission.problemId?._id, { 'testCases._id': 1, 'testCases.isHidden': 1 });
+    const visibleTestIds = new Set((problem?.testCases || [])
+      .filter(testCase => !testCase.isHidden)
+      .map(testCase => String(testCase._id)));
+
     res.status(200).json({
       success: true,
-      data: null
+      data: toOwnSubmission(submission, visibleTestIds)
     });
   } catch (error) {
     console.error('Get submission error:', error);
@@ -152,16 +257,70 @@ export const getSubmission = async (req, res) => {
   }
 };
 
+// @desc    Poll the judging status of a submission
+// @route   GET /api/submissions/:id/status
+// @access  Private (owner or admin)
+export const getSubmissionStatus = async (req, res) => {
+  try {
+    const submission = await Submission.findById(req.params.id)
+      .select('userId status failedTest score maxScore totalExecutionTime totalMemoryUsed error compileOutput submittedAt evaluatedAt');
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    if (submission.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const isFinal = !['pending', 'running'].includes(submission.status);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        submissionId: submission._id,
+        status: submission.status,
+        verdict: submission.verdict,
+        isFinal,
+        ...(isFinal && {
+          failedTest: submission.failedTest,
+          score: submission.score,
+          maxScore: submission.maxScore,
+          totalExecutionTime: submission.totalExecutionTime,
+          totalMemoryUsed: submission.totalMemoryUsed,
+          error: submission.error,
+          compileOutput: submission.compileOutput
+        }),
+        submittedAt: submission.submittedAt,
+        evaluatedAt: submission.evaluatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Get submission status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch submission status',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Submit final contest results
 // @route   POST /api/submissions/final
 // @access  Private
 export const submitFinalResults = async (req, res) => {
   try {
-    const { userId, contestId, totalScore, penaltyPoints, problemResults, totalTime } = req.body;
+    const { userId, contestId, totalScore, solvedCount } = req.body;
     const authenticatedUserId = req.user.id;
 
     // Verify user ID matches authenticated user
-    if (userId !== authenticatedUserId) {
+    if (userId && userId !== authenticatedUserId) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -177,84 +336,73 @@ export const submitFinalResults = async (req, res) => {
       });
     }
 
-    // Create or update contest result
-    let contestResult = await ContestResult.findOne({ userId, contestId });
-    
-    if (!contestResult) {
-      contestResult = await ContestResult.create({
-        userId,
-        contestId,
-        problemResults: contest.problems.map(p => ({
-          problemId: p.problemId,
-          maxScore: p.points,
-          status: 'not_attempted'
-        }))
+    let contestResult = await ContestResult.findOne({ userId: authenticatedUserId, contestId });
+
+    if (contestResult?.isCompleted) {
+      return res.status(409).json({
+        success: false,
+        message: 'Final results have already been submitted'
       });
     }
 
-    // Helper to parse HH:MM:SS into milliseconds; also accept numeric seconds/ms
-    const parseDurationToMs = (value) => {
-      if (value == null) return 0;
-      if (typeof value === 'number' && !Number.isNaN(value)) {
-        // Assume already milliseconds if large, otherwise seconds
-        return value > 3600 ? Math.floor(value) : Math.floor(value * 1000);
-      }
-      if (typeof value === 'string') {
-        const trimmed = value.trim();
-        // If plain number string
-        if (/^\d+(?:\.\d+)?$/.test(trimmed)) {
-          const num = Number(trimmed);
-          return num > 3600 ? Math.floor(num) : Math.floor(num * 1000);
-        }
-        // HH:MM:SS
-        const parts = trimmed.split(':').map((p) => Number(p));
-        if (parts.length === 3 && parts.every((n) => Number.isFinite(n))) {
-          const [hh, mm, ss] = parts;
-          return ((hh * 3600) + (mm * 60) + ss) * 1000;
-        }
-      }
-      return 0;
-    };
-
-    // Update final results
-    contestResult.totalScore = Number(totalScore) || 0;
-    contestResult.penalties = Number(penaltyPoints) || 0;
-    contestResult.totalTime = parseDurationToMs(totalTime);
-    contestResult.completedAt = new Date();
-    contestResult.isCompleted = true;
-
-    // Update individual problem results
-    (Array.isArray(problemResults) ? problemResults : []).forEach(problemResult => {
-      contestResult.updateProblemResult(
-        problemResult.problemId,
-        Number(problemResult.score) || 0,
-        0, // execution time not available in final submission
-        (Number(problemResult.score) || 0) > 0 ? 'accepted' : 'attempted',
-        false
-      );
+    // Totals must include every attempt, so wait for the judge to catch up
+    const unjudged = await Submission.exists({
+      userId: authenticatedUserId,
+      contestId,
+      status: { $in: ['pending', 'running'] }
     });
+    if (unjudged) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some submissions are still being judged, please retry shortly'
+      });
+    }
 
-    await contestResult.save();
+    if (!contestResult) {
+      contestResult = await createContestResult(authenticatedUserId, contest);
+    }
 
-    // We do not persist per-problem submissions
+    // Recompute everything from the judged submissions; client numbers are
+    // only kept for comparison. Only totals the client counts the same way are
+    // compared: its time and penalties are not the contest-clock values the
+    // server keeps, so they would always look off.
+    await recomputeContestResult(contestResult, contest);
 
-    // Helper to format milliseconds to HH:MM:SS
-    const formatMsToHHMMSS = (ms) => {
-      const totalSeconds = Math.max(0, Math.floor((Number(ms) || 0) / 1000));
-      const hh = Math.floor(totalSeconds / 3600);
-      const mm = Math.floor((totalSeconds % 3600) / 60);
-      const ss = totalSeconds % 60;
-      const pad = (n) => String(n).padStart(2, '0');
-      return `${pad(hh)}:${pad(mm)}:${pad(ss)}`;
+    const reported = {
+      totalScore: totalScore == null ? null : Number(totalScore),
+      solvedCount: solvedCount == null ? null : Number(solvedCount)
     };
+    const discrepancies = Object.entries(reported)
+      .filter(([field, value]) => value !== null && value !== contestResult[field])
+      .map(([field, value]) => ({
+        field,
+        reported: value,
+        computed: contestResult[field],
+        recordedAt: new Date()
+      }));
+    contestResult.discrepancies.push(...discrepancies);
+
+    // Lock the result
+    contestResult.completedAt = new Date();
+    contestResult.isCompleted = true;
+    await contestResult.save();
+
+    if (discrepancies.length > 0) {
+      emitToAdmins('moderation:result-discrepancy', {
+        contestResultId: contestResult._id,
+        userId: authenticatedUserId,
+        contestId,
+        discrepancies
+      });
+    }
 
     res.status(200).json({
       success: true,
       message: 'Final results submitted successfully',
       data: {
         contestResultId: contestResult._id,
-        totalScore: totalScore,
-        penaltyPoints: penaltyPoints,
+        totalScore: contestResult.totalScore,
+        penaltyPoints: contestResult.penalties,
         totalTime: formatMsToHHMMSS(contestResult.totalTime),
         completedAt: contestResult.completedAt
       }
@@ -270,96 +418,12 @@ export const submitFinalResults = async (req, res) => {
   }
 };
 
-// Helper function to update contest result
-async function updateContestResult(userId, contestId, problemId, submission) {
-  try {
-    let contestResult = await ContestResult.findOne({ userId, contestId });
-    
-    if (!contestResult) {
-      // Create new contest result if it doesn't exist
-      const contest = await Contest.findById(contestId);
-      const problemIds = (Array.isArray(contest?.problems) ? contest.problems : []).map(p => p.problemId);
-      const problemDocs = await Problem.find({ _id: { $in: problemIds } }, { testCases: 1, points: 1 });
-      const probMap = new Map(problemDocs.map(p => [String(p._id), p]));
-      contestResult = await ContestResult.create({
-        userId,
-        contestId,
-        problemResults: (Array.isArray(contest?.problems) ? contest.problems : []).map(p => {
-          const full = probMap.get(String(p.problemId));
-          let maxScore = Number(p.points) || 0;
-          if (full && Array.isArray(full.testCases) && full.testCases.length > 0) {
-            maxScore = full.testCases.reduce((s, tc) => s + (Number(tc.points) || 0), 0);
-          } else if (full && typeof full.points === 'number') {
-            maxScore = Number(full.points) || 0;
-          }
-          return {
-            problemId: p.problemId,
-            maxScore,
-            status: 'not_attempted'
-          };
-        })
-      });
-    }
-
-    // Update problem result
-    const isFirstAccept = submission.status === 'accepted';
-    
-    const status = submission.status === 'accepted' ? 'accepted' : 
-                  submission.score > 0 ? 'partial' : 'attempted';
-
-    contestResult.updateProblemResult(
-      problemId,
-      submission.score,
-      submission.totalExecutionTime,
-      status,
-      isFirstAccept
-    );
-
-    await contestResult.save();
-  } catch (error) {
-    console.error('Update contest result error:', error);
-  }
-}
-
-function combineWithHarness(userCode, language, problem) {
-  let harness = '';
-  const raw = problem?.harshnessCode ?? problem?.harnessCode ?? '';
-  
-  // Handle both harshnessCode and harnessCode fields
-  if (typeof raw === 'object' && raw !== null) {
-    harness = String(raw[language] || '').trim();
-  } else {
-    harness = String(raw || '').trim();
-  }
-  
-  // If no harness code, return user code as is
-  if (!harness) return userCode;
-  
-  // Combine user code with harness code
-  if (language === 'javascript') {
-    return `${userCode}
-// --- HARNESS START ---
-${harness}
-// --- HARNESS END ---`;
-  }
-  if (language === 'python') {
-    return `${userCode}
-# --- HARNESS START ---
-${harness}
-# --- HARNESS END ---`;
-  }
-  if (language === 'cpp') {
-    return `${userCode}
-// --- HARNESS START ---
-${harness}
-// --- HARNESS END ---`;
-  }
-  if (language === 'java') {
-    return `${userCode}
-// --- HARNESS START ---
-${harness}
-// --- HARNESS END ---`;
-  }
-  
-  return userCode;
+// Helper to format milliseconds to HH:MM:SS
+function formatMsToHHMMSS(ms) {
+  const totalSeconds = Math.max(0, Math.floor((Number(ms) || 0) / 1000));
+  const hh = Math.floor(totalSeconds / 3600);
+  const mm = Math.floor((totalSeconds % 3600) / 60);
+  const ss = totalSeconds % 60;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(hh)}:${pad(mm)}:${pad(ss)}`;
 }
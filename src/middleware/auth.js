@@ -4,6 +4,23 @@ import User from '../models/User.js';
 
 dotenv.config({ path: './config.env' });
 
+// Verify a JWT and load the user it belongs to (null if the user is gone)
+const resolveUser = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const userDoc = await User.findById(decoded.id).select('_id name email role createdAt lastLogin');
+
+  if (!userDoc) return null;
+
+  return {
+    id: userDoc._id.toString(),
+    name: userDoc.name,
+    email: userDoc.email,
+    role: userDoc.role,
+    createdAt: userDoc.createdAt,
+    lastLogin: userDoc.lastLogin
+  };
+};
+
 export const authenticate = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -15,24 +32,16 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const userDoc = await User.findById(decoded.id).select('_id name email role createdAt lastLogin');
+    const user = await resolveUser(token);
     
-    if (!userDoc) {
+    if (!user) {
       return res.status(401).json({ 
         success: false, 
         message: 'Invalid token. User not found.' 
       });
     }
 
-    req.user = {
-      id: userDoc._id.toString(),
-      name: userDoc.name,
-      email: userDoc.email,
-      role: userDoc.role,
-      createdAt: userDoc.createdAt,
-      lastLogin: userDoc.lastLogin
-    };
+    req.user = user;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -57,6 +66,18 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+// Attach req.user when a valid token is sent, but let anonymous requests through
+export const optionalAuthenticate = async (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (!token) return next();
+
+  try {
+    const user = await resolveUser(token);
+    if (user) req.user = user;
+  } catch {}
+  next();
+};
+
 export const authorize = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -76,3 +97,41 @@ export const authorize = (...roles) => {
     next();
   };
 };
+
+// Socket.IO handshake middleware; mirrors authenticate for socket connections
+export const authenticateSocket = async (socket, next) => {
+  const reject = (message, code) => {
+    const error = new Error(message);
+    error.data = { success: false, message, code };
+    next(error);
+  };
+
+  try {
+    const token = socket.handshake.auth?.token
+      || socket.handshake.headers?.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return reject('Access denied. No token provided.', 'NO_TOKEN');
+    }
+
+    const user = await resolveUser(token);
+
+    if (!user) {
+      return reject('Invalid token. User not found.', 'USER_NOT_FOUND');
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return reject('Invalid token.', 'INVALID_TOKEN');
+    }
+
+    if (error.name === 'TokenExpiredError') {
+      return reject('Token expired.', 'TOKEN_EXPIRED');
+    }
+
+    console.error('Socket auth middleware error:', error);
+    reject('Server error during authentication.', 'AUTH_ERROR');
+  }
+};
@@ -0,0 +1,19 @@
+import { validationResult } from 'express-validator';
+
+// Run after express-validator chains; rejects the request with every failed field
+export const validate = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(err => ({
+        field: err.path,
+        message: err.msg
+      }))
+    });
+  }
+
+  next();
+};
@@ -1,5 +1,16 @@
 import mongoose from 'mongoose';
 
+// draft -> scheduled -> running -> frozen -> ended -> finalized; any
+// unfinalized contest can be cancelled. Time-driven steps are applied by the
+// contest scheduler.
+export const CONTEST_STATUSES = ['draft', 'scheduled', 'running', 'frozen', 'ended', 'finalized', 'cancelled'];
+
+// partial: sum of per-test points; icpc: problems solved, then penalty time;
+// dynamic: problem values decay over contest time (Codeforces-style)
+export const SCORING_MODES = ['partial', 'icpc', 'dynamic'];
+
+const DEFAULT_MIN_POINTS_RATIO = 0.3;
+
 const contestSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -24,6 +35,17 @@ const contestSchema = new mongoose.Schema({
     points: {
       type: Number,
       default: 100
+    },
+    // Dynamic scoring only: value floor (defaults to 30% of points) and the
+    // deduction per rejected attempt
+    minPoints: {
+      type: Number,
+      min: 0
+    },
+    attemptPenalty: {
+      type: Number,
+      min: 0,
+      default: 50
     }
   }],
   startTime: {
@@ -39,6 +61,52 @@ const contestSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  status: {
+    type: String,
+    enum: CONTEST_STATUSES,
+    default: 'scheduled'
+  },
+  scoringMode: {
+    type: String,
+    enum: SCORING_MODES,
+    default: 'partial'
+  },
+  penaltyMinutes: {
+    type: Number, // ICPC: penalty per rejected attempt before the first accept
+    default: 20
+  },
+  freezeDuration: {
+    type: Number, // in milliseconds before endTime; 0 disables the freeze
+    default: 0
+  },
+  // Latest official StandingsSnapshot version; 0 until the contest is finalized
+  standingsVersion: {
+    type: Number,
+    default: 0
+  },
+  // Post-contest reveal of the frozen scoreboard, one cell at a time
+  resolver: {
+    revealed: [{
+      _id: false,
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      problemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Problem',
+        required: true
+      },
+      revealedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    completedAt: {
+      type: Date
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -81,6 +149,50 @@ contestSchema.pre('save', function(next) {
   next();
 });
 
+// Status implied by the clock for a published contest; draft, cancelled and
+// finalized contests are never moved by time
+contestSchema.methods.scheduledStatus = function(now = new Date()) {
+  if (['draft', 'cancelled', 'finalized'].includes(this.status)) return this.status;
+  if (now < this.startTime) return 'scheduled';
+  if (now > this.endTime) return 'ended';
+  if (this.freezeDuration > 0 && now >= new Date(this.endTime.getTime() - this.freezeDuration)) return 'frozen';
+  return 'running';
+};
+
+// Submissions and joins are only accepted inside the contest window of a
+// published, uncancelled contest
+contestSchema.methods.isOpen = function(now = new Date()) {
+  return ['scheduled', 'running', 'frozen'].includes(this.status)
+    && now >= this.startTime && now <= this.endTime;
+};
+
+// Start of the scoreboard freeze, or null when the contest has none
+contestSchema.methods.freezeStartsAt = function() {
+  return this.freezeDuration > 0 ? new Date(this.endTime.getTime() - this.freezeDuration) : null;
+};
+
+// Public standings stay frozen from the freeze until the resolver has
+// revealed every frozen cell
+contestSchema.methods.isScoreboardFrozen = function(now = new Date()) {
+  const freezeAt = this.freezeStartsAt();
+  return Boolean(freezeAt) && now >= freezeAt
+    && this.status !== 'cancelled'
+    && !this.resolver?.completedAt;
+};
+
+// Lowest value a problem entry decays to under dynamic scoring
+contestSchema.methods.minPointsFor = function(entry) {
+  return entry.minPoints ?? Math.round(entry.points * DEFAULT_MIN_POINTS_RATIO);
+};
+
+// Dynamic scoring: an entry is worth its full points at the start and falls
+// linearly to its floor by the end of the contest
+contestSchema.methods.problemValue = function(entry, at = new Date()) {
+  const floor = Math.min(this.minPointsFor(entry), entry.points);
+  const progress = Math.min(1, Math.max(0, (at - this.startTime) / this.duration));
+  return Math.round(entry.points - (entry.points - floor) * progress);
+};
+
 // Virtual for checking if contest is currently running
 contestSchema.virtual('isRunning').get(function() {
   const now = new Date();
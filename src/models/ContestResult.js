@@ -34,13 +34,21 @@ const contestResultSchema = new mongoose.Schema({
       required: true
     },
     timeSpent: {
-      type: Number, // in milliseconds
+      type: Number, // contest time (ms since start) of the deciding submission
       default: 0
     },
     submissionCount: {
       type: Number,
       default: 0
     },
+    rejectedAttempts: {
+      type: Number, // rejected attempts before the first accepted one
+      default: 0
+    },
+    penalty: {
+      type: Number, // icpc: penalty minutes; dynamic: points deducted for rejected attempts
+      default: 0
+    },
     firstAcceptedAt: {
       type: Date
     },
@@ -53,10 +61,14 @@ const contestResultSchema = new mongoose.Schema({
   rank: {
     type: Number
   },
-  penalties: {
+  solvedCount: {
     type: Number,
     default: 0
   },
+  penalties: {
+    type: Number, // sum of problem penalties (minutes or points, by scoring mode)
+    default: 0
+  },
   startedAt: {
     type: Date,
     default: Date.now
@@ -64,49 +76,51 @@ const contestResultSchema = new mongoose.Schema({
   completedAt: {
     type: Date
   },
+  // Set once final results are submitted; the row is locked afterwards
   isCompleted: {
     type: Boolean,
     default: false
-  }
+  },
+  // Client-reported totals that disagreed with the server's, kept for review
+  discrepancies: [{
+    field: {
+      type: String
+    },
+    reported: {
+      type: Number
+    },
+    computed: {
+      type: Number
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 });
 
-// Index for efficient queries
-contestResultSchema.index({ contestId: 1, totalScore: -1, totalTime: 1 });
+// Standings order per scoring mode, _id breaking ties between pages
+contestResultSchema.index({ contestId: 1, totalScore: -1, totalTime: 1, _id: 1 });
+contestResultSchema.index({ contestId: 1, solvedCount: -1, penalties: 1, totalTime: 1, _id: 1 });
 contestResultSchema.index({ userId: 1, contestId: 1 }, { unique: true });
 
-// Calculate total score and time
-contestResultSchema.methods.calculateTotals = function() {
-  this.totalScore = this.problemResults.reduce((sum, result) => sum + result.score, 0);
-  this.totalTime = this.problemResults.reduce((sum, result) => sum + result.timeSpent, 0);
-  return this;
-};
+// Calculate totals for the contest's scoring mode:
+// - partial / dynamic: totalScore is the sum of problem scores, totalTime the
+//   sum of contest time at which each score was reached
+// - icpc: totalScore is the number of solved problems and totalTime the
+//   contest time of the last accepted solution
+contestResultSchema.methods.calculateTotals = function({ scoringMode = 'partial' } = {}) {
+  const solved = this.problemResults.filter(result => result.status === 'accepted');
+  this.solvedCount = solved.length;
+  this.penalties = this.problemResults.reduce((sum, result) => sum + (result.penalty || 0), 0);
 
-// Update problem result
-contestResultSchema.methods.updateProblemResult = function(problemId, score, timeSpent, status, isFirstAccept = false) {
-  const problemResult = this.problemResults.find(p => p.problemId.toString() === problemId.toString());
-  
-  if (problemResult) {
-    problemResult.score = Math.max(problemResult.score, score);
-    problemResult.timeSpent += timeSpent;
-    problemResult.submissionCount += 1;
-    problemResult.status = status;
-    
-    if (isFirstAccept && !problemResult.firstAcceptedAt) {
-      problemResult.firstAcceptedAt = new Date();
-    }
+  if (scoringMode === 'icpc') {
+    this.totalScore = solved.length;
+    this.totalTime = solved.reduce((latest, result) => Math.max(latest, result.timeSpent || 0), 0);
   } else {
-    this.problemResults.push({
-      problemId,
-      score,
-      maxScore: 100, // Default max score, should be set from problem
-      timeSpent,
-      submissionCount: 1,
-      firstAcceptedAt: isFirstAccept ? new Date() : null,
-      status
-    });
+    this.totalScore = this.problemResults.reduce((sum, result) => sum + result.score, 0);
+    this.totalTime = this.problemResults.reduce((sum, result) => sum + result.timeSpent, 0);
   }
-  
-  this.calculateTotals();
   return this;
 };
 
@@ -1,13 +1,48 @@
 import mongoose from 'mongoose';
+import { CHECKER_INTERFACE_NAMES, CHECKER_TYPES } from '../utils/checkers.js';
+import { pruneTestData, storeTestData } from '../utils/testStorage.js';
+import { VERDICTS } from '../utils/verdicts.js';
+
+const LANGUAGES = ['python', 'javascript', 'cpp', 'java'];
+
+// Arguments for the problem's generator; a test that has them gets its input
+// from the generator and its expected output from the main reference solution
+const generatorArgsSchema = new mongoose.Schema({
+  args: [{
+    type: String
+  }],
+  seed: Number
+}, { _id: false });
+
+// Test data kept in GridFS rather than inline (see utils/testStorage.js)
+const testDataRefSchema = new mongoose.Schema({
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  size: Number,
+  sha256: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
 
 const testCaseSchema = new mongoose.Schema({
   input: {
     type: String,
-    required: true
+    required: [function() { return !this.inputFile; }, 'Test case input is required']
   },
   expectedOutput: {
     type: String,
-    required: true
+    required: [function() { return !this.outputFile; }, 'Test case expected output is required']
+  },
+  inputFile: {
+    type: testDataRefSchema,
+    default: undefined
+  },
+  outputFile: {
+    type: testDataRefSchema,
+    default: undefined
   },
   isHidden: {
     type: Boolean,
@@ -16,6 +51,122 @@ const testCaseSchema = new mongoose.Schema({
   points: {
     type: Number,
     default: 1
+  },
+  generator: {
+    type: generatorArgsSchema,
+    default: undefined
+  }
+});
+
+// How contestant output is compared with the expected output
+const checkerSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: CHECKER_TYPES,
+    default: 'exact'
+  },
+  // Tolerances for the float checker
+  absoluteError: {
+    type: Number,
+    default: 1e-6
+  },
+  relativeError: {
+    type: Number,
+    default: 1e-6
+  },
+  // Compare text case-insensitively (exact, tokens and float checkers)
+  caseInsensitive: {
+    type: Boolean,
+    default: false
+  },
+  // Custom checker program, invoked according to `interface`
+  language: {
+    type: String,
+    enum: LANGUAGES,
+    required: [function() { return this.type === 'custom'; }, 'Custom checker language is required']
+  },
+  code: {
+    type: String,
+    required: [function() { return this.type === 'custom'; }, 'Custom checker code is required']
+  },
+  // Calling convention of the custom checker (testlib or Kattis output validator)
+  interface: {
+    type: String,
+    enum: CHECKER_INTERFACE_NAMES,
+    default: 'testlib'
+  }
+}, { _id: false });
+
+// Test generator: writes one test input to stdout, given the test's arguments
+// (and its seed, when set, as the last argument)
+const generatorSchema = new mongoose.Schema({
+  language: {
+    type: String,
+    enum: LANGUAGES,
+    required: [true, 'Generator language is required']
+  },
+  code: {
+    type: String,
+    required: [true, 'Generator code is required']
+  }
+}, { _id: false });
+
+// Input validator: reads one test input on stdin and rejects it when it breaks
+// the stated constraints (testlib: exit 0 = valid; kattis: exit 42 = valid)
+const inputValidatorSchema = new mongoose.Schema({
+  language: {
+    type: String,
+    enum: LANGUAGES,
+    required: [true, 'Input validator language is required']
+  },
+  code: {
+    type: String,
+    required: [true, 'Input validator code is required']
+  },
+  interface: {
+    type: String,
+    enum: CHECKER_INTERFACE_NAMES,
+    default: 'testlib'
+  },
+  // Outcome of the latest run over every test input
+  lastRun: {
+    passed: Boolean,
+    failedTest: Number,
+    message: String,
+    checkedAt: Date
+  }
+}, { _id: false });
+
+// Setter's solution and the verdict it must get on the problem's tests:
+// accepted for a correct one, or the failure an intentionally wrong or slow
+// one is meant to hit
+const referenceSolutionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Reference solution name is required'],
+    trim: true
+  },
+  language: {
+    type: String,
+    enum: LANGUAGES,
+    required: [true, 'Reference solution language is required']
+  },
+  code: {
+    type: String,
+    required: [true, 'Reference solution code is required']
+  },
+  expectedVerdict: {
+    type: String,
+    enum: Object.values(VERDICTS),
+    default: VERDICTS.AC
+  },
+  // Outcome of the latest verification against the tests
+  lastRun: {
+    status: String,
+    failedTest: Number,
+    passed: Boolean,
+    error: String,
+    checkedAt: Date
   }
 });
 
@@ -60,6 +211,19 @@ const problemSchema = new mongoose.Schema({
     type: String
   }],
   testCases: [testCaseSchema],
+  checker: {
+    type: checkerSchema,
+    default: () => ({})
+  },
+  generator: {
+    type: generatorSchema,
+    default: undefined
+  },
+  inputValidator: {
+    type: inputValidatorSchema,
+    default: undefined
+  },
+  referenceSolutions: [referenceSolutionSchema],
   timeLimit: {
     type: Number,
     default: 1000 // milliseconds
@@ -96,4 +260,16 @@ problemSchema.pre('save', function(next) {
   next();
 });
 
+// Oversized test data moves to GridFS; files the tests stop referencing are
+// removed once the new version is saved
+problemSchema.pre('save', async function() {
+  this.$locals.testCasesChanged = this.isNew || this.isModified('testCases');
+  if (this.$locals.testCasesChanged) await storeTestData(this);
+});
+
+problemSchema.post('save', function(doc) {
+  if (!doc.$locals.testCasesChanged) return;
+  pruneTestData(doc).catch(error => console.error('Prune test data error:', error));
+});
+
 export default mongoose.model('Problem', problemSchema);
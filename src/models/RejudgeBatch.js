@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// One admin rejudge request and its progress
+const rejudgeBatchSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['submission', 'problem', 'contest'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId, // submission, problem or contest id
+    required: true
+  },
+  contestIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contest'
+  }],
+  total: {
+    type: Number,
+    default: 0
+  },
+  done: {
+    type: Number,
+    default: 0
+  },
+  changed: {
+    type: Number, // submissions whose verdict or score differs afterwards
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed'],
+    default: 'running'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date
+  }
+});
+
+export default mongoose.model('RejudgeBatch', rejudgeBatchSchema);
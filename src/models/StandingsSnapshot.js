@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import { SCORING_MODES } from './Contest.js';
+
+// Official standings of a contest at one point in time. Snapshots are never
+// modified; a rejudge after finalization records a new version instead.
+const standingsSnapshotSchema = new mongoose.Schema({
+  contestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contest',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  reason: {
+    type: String,
+    enum: ['finalized', 'rejudge'],
+    default: 'finalized'
+  },
+  scoringMode: {
+    type: String,
+    enum: SCORING_MODES,
+    required: true
+  },
+  rows: [{
+    _id: false,
+    rank: Number,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String, // as it was when the snapshot was taken
+    totalScore: Number,
+    solvedCount: Number,
+    penalties: Number,
+    totalTime: Number,
+    problemResults: [{
+      _id: false,
+      problemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Problem'
+      },
+      score: Number,
+      maxScore: Number,
+      status: String,
+      submissionCount: Number,
+      rejectedAttempts: Number,
+      penalty: Number,
+      timeSpent: Number,
+      firstAcceptedAt: Date
+    }]
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+standingsSnapshotSchema.index({ contestId: 1, version: -1 }, { unique: true });
+
+const immutable = function(next) {
+  next(new Error('Standings snapshots are immutable; record a new version instead'));
+};
+
+standingsSnapshotSchema.pre('save', function(next) {
+  if (!this.isNew) return immutable(next);
+  next();
+});
+standingsSnapshotSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], immutable);
+
+export default mongoose.model('StandingsSnapshot', standingsSnapshotSchema);
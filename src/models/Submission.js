@@ -1,4 +1,48 @@
 import mongoose from 'mongoose';
+import { SUBMISSION_STATUSES, TEST_VERDICTS, verdictCode } from '../utils/verdicts.js';
+
+const verdictSnapshot = {
+  status: String,
+  score: Number
+};
+
+const rejudgeRequestSchema = new mongoose.Schema({
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RejudgeBatch',
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Claimed by a judge worker or still waiting behind live submissions
+  state: {
+    type: String,
+    enum: ['queued', 'running'],
+    default: 'queued'
+  },
+  before: verdictSnapshot
+}, { _id: false });
+
+const rejudgeRecordSchema = new mongoose.Schema({
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RejudgeBatch'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestedAt: Date,
+  judgedAt: Date,
+  before: verdictSnapshot,
+  after: verdictSnapshot
+}, { _id: false });
 
 const submissionSchema = new mongoose.Schema({
   userId: {
@@ -27,9 +71,18 @@ const submissionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'running', 'accepted', 'wrong_answer', 'time_limit_exceeded', 'runtime_error', 'compilation_error'],
+    enum: SUBMISSION_STATUSES,
     default: 'pending'
   },
+  failedTest: {
+    type: Number // 1-based test number that decided a rejected verdict
+  },
+  error: {
+    type: String // execution or judge failure not tied to a single test case
+  },
+  compileOutput: {
+    type: String // compiler diagnostics for compilation_error
+  },
   score: {
     type: Number,
     default: 0
@@ -47,12 +100,26 @@ const submissionSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    status: {
+      type: String,
+      enum: TEST_VERDICTS
+    },
+    exitCode: {
+      type: Number
+    },
+    signal: {
+      type: String // e.g. SIGSEGV when the process was killed
+    },
     executionTime: {
+      type: Number, // CPU time (user + sys) in milliseconds
+      default: 0
+    },
+    wallTime: {
       type: Number, // in milliseconds
       default: 0
     },
     memoryUsed: {
-      type: Number, // in MB
+      type: Number, // peak resident memory in KB
       default: 0
     },
     output: {
@@ -60,6 +127,9 @@ const submissionSchema = new mongoose.Schema({
     },
     error: {
       type: String
+    },
+    checkerMessage: {
+      type: String
     }
   }],
   totalExecutionTime: {
@@ -67,7 +137,7 @@ const submissionSchema = new mongoose.Schema({
     default: 0
   },
   totalMemoryUsed: {
-    type: Number,
+    type: Number, // peak across test cases, in KB
     default: 0
   },
   submittedAt: {
@@ -76,18 +146,36 @@ const submissionSchema = new mongoose.Schema({
   },
   evaluatedAt: {
     type: Date
-  }
+  },
+  // Set while an admin rejudge is queued. The current verdict keeps counting
+  // until the new one replaces it.
+  rejudge: {
+    type: rejudgeRequestSchema,
+    default: undefined
+  },
+  // Completed rejudges, oldest first
+  rejudgeHistory: [rejudgeRecordSchema]
+});
+
+// Short ICPC verdict code (AC, WA, TLE, ...)
+submissionSchema.virtual('verdict').get(function() {
+  return verdictCode(this.status);
 });
 
+submissionSchema.set('toJSON', { virtuals: true });
+
 // Index for efficient queries
 submissionSchema.index({ userId: 1, contestId: 1, problemId: 1 });
 submissionSchema.index({ contestId: 1, status: 1 });
 submissionSchema.index({ submittedAt: -1 });
+submissionSchema.index({ status: 1, submittedAt: 1 }); // judge queue claim order
+submissionSchema.index({ 'rejudge.state': 1, 'rejudge.requestedAt': 1 }); // then queued rejudges
+submissionSchema.index({ problemId: 1 });
 
-// Calculate total execution time and memory
+// Calculate total execution time and peak memory
 submissionSchema.methods.calculateTotals = function() {
   this.totalExecutionTime = this.testResults.reduce((sum, result) => sum + (result.executionTime || 0), 0);
-  this.totalMemoryUsed = this.testResults.reduce((sum, result) => sum + (result.memoryUsed || 0), 0);
+  this.totalMemoryUsed = this.testResults.reduce((peak, result) => Math.max(peak, result.memoryUsed || 0), 0);
   return this;
 };
 
@@ -3,22 +3,36 @@ import {
   getContests, 
   getContest, 
   createContest, 
+  updateContest,
+  cancelContest,
+  stepResolver,
   joinContest, 
   getContestLeaderboard,
+  getMyLeaderboardPosition,
+  getContestStandings,
   getMyContestResult 
 } from '../controllers/contestController.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { rejudgeContest } from '../controllers/rejudgeController.js';
+import { authenticate, authorize, optionalAuthenticate } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { contestIdRule, updateContestRules } from '../validators/contestValidators.js';
 
 const router = express.Router();
 
 // Public routes
-router.get('/', getContests);
-router.get('/:id', getContest);
-router.get('/:id/leaderboard', getContestLeaderboard);
+router.get('/', optionalAuthenticate, getContests);
+router.get('/:id', optionalAuthenticate, getContest);
+router.get('/:id/leaderboard', optionalAuthenticate, contestIdRule, validate, getContestLeaderboard);
+router.get('/:id/standings', optionalAuthenticate, contestIdRule, validate, getContestStandings);
 
 // Protected routes
 router.post('/', authenticate, authorize('admin'), createContest);
+router.patch('/:id', authenticate, authorize('admin'), updateContestRules, validate, updateContest);
+router.delete('/:id', authenticate, authorize('admin'), contestIdRule, validate, cancelContest);
+router.post('/:id/resolver/step', authenticate, authorize('admin'), contestIdRule, validate, stepResolver);
+router.post('/:id/rejudge', authenticate, authorize('admin'), contestIdRule, validate, rejudgeContest);
 router.post('/:id/join', authenticate, joinContest);
+router.get('/:id/leaderboard/me', authenticate, contestIdRule, validate, getMyLeaderboardPosition);
 router.get('/:id/my-result', authenticate, getMyContestResult);
 
 export default router;
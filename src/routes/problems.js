@@ -0,0 +1,39 @@
+import express from 'express';
+import multer from 'multer';
+import {
+  getProblems,
+  getProblem,
+  createProblem,
+  updateProblem,
+  deleteProblem,
+  importProblem,
+  exportProblem,
+  verifyProblem
+} from '../controllers/problemController.js';
+import { rejudgeProblem } from '../controllers/rejudgeController.js';
+import { authenticate, authorize, optionalAuthenticate } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { createProblemRules, updateProblemRules, problemIdRule } from '../validators/problemValidators.js';
+
+const router = express.Router();
+
+// Packages are parsed in memory; nothing is written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: (parseInt(process.env.PROBLEM_PACKAGE_MAX_MB) || 50) * 1024 * 1024 }
+});
+
+// Public routes (admins get the full view with ?view=admin)
+router.get('/', optionalAuthenticate, getProblems);
+router.get('/:id', optionalAuthenticate, problemIdRule, validate, getProblem);
+
+// Admin routes
+router.post('/', authenticate, authorize('admin'), createProblemRules, validate, createProblem);
+router.post('/import', authenticate, authorize('admin'), upload.single('package'), importProblem);
+router.get('/:id/export', authenticate, authorize('admin'), problemIdRule, validate, exportProblem);
+router.patch('/:id', authenticate, authorize('admin'), updateProblemRules, validate, updateProblem);
+router.delete('/:id', authenticate, authorize('admin'), problemIdRule, validate, deleteProblem);
+router.post('/:id/verify', authenticate, authorize('admin'), problemIdRule, validate, verifyProblem);
+router.post('/:id/rejudge', authenticate, authorize('admin'), problemIdRule, validate, rejudgeProblem);
+
+export default router;
@@ -1,20 +1,41 @@
 import express from 'express';
+import rateLimit from 'express-rate-limit';
 import { 
   submitSolution, 
   getContestSubmissions, 
   getSubmission,
+  getSubmissionStatus,
+  runSolution,
   submitFinalResults
 } from '../controllers/submissionController.js';
-import { authenticate } from '../middleware/auth.js';
+import { rejudgeSubmission } from '../controllers/rejudgeController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { contestSubmissionsRules, runRules, submissionIdRule } from '../validators/submissionValidators.js';
 
 const router = express.Router();
 
+// Runs execute synchronously, so they get a tighter budget than the global
+// limiter, counted per user rather than per IP
+const runLimiter = rateLimit({
+  windowMs: parseInt(process.env.RUN_RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+  max: parseInt(process.env.RUN_RATE_LIMIT_MAX_REQUESTS) || 10,
+  keyGenerator: (req) => String(req.user.id),
+  message: {
+    success: false,
+    message: 'Too many runs, please wait a moment before trying again.'
+  }
+});
+
 // All routes are protected
 router.use(authenticate);
 
 router.post('/', submitSolution);
+router.post('/run', runLimiter, runRules, validate, runSolution);
 router.post('/final', submitFinalResults);
-router.get('/contest/:contestId', getContestSubmissions);
+router.get('/contest/:contestId', contestSubmissionsRules, validate, getContestSubmissions);
+router.post('/:id/rejudge', authorize('admin'), submissionIdRule, validate, rejudgeSubmission);
+router.get('/:id/status', getSubmissionStatus);
 router.get('/:id', getSubmission);
 
 export default router;
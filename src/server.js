@@ -12,9 +12,15 @@ import connectDB from './utils/database.js';
 // Import routes
 import authRoutes from './routes/auth.js';
 import contestRoutes from './routes/contests.js';
+import problemRoutes from './routes/problems.js';
 // (Removed nonexistent routes)
 import submissionRoutes from './routes/submissions.js';
 
+// Import background workers and realtime events
+import { judgeQueue } from './utils/judgeQueue.js';
+import { contestScheduler } from './utils/contestScheduler.js';
+import { initRealtime } from './utils/realtime.js';
+
 // Import middleware
 import { errorHandler, notFound } from './middleware/errorHandler.js';
 
@@ -60,6 +66,7 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/contests', contestRoutes);
+app.use('/api/problems', problemRoutes);
 app.use('/api/submissions', submissionRoutes);
 // (Removed nonexistent routes)
 
@@ -73,30 +80,7 @@ app.get('/api/health', (req, res) => {
 });
 
 // Socket.IO for real-time features
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-
-  // Join contest room
-  socket.on('join-contest', (contestId) => {
-    socket.join(`contest-${contestId}`);
-    console.log(`User ${socket.id} joined contest ${contestId}`);
-  });
-
-  // Leave contest room
-  socket.on('leave-contest', (contestId) => {
-    socket.leave(`contest-${contestId}`);
-    console.log(`User ${socket.id} left contest ${contestId}`);
-  });
-
-  // Handle submission updates
-  socket.on('submission-update', (data) => {
-    socket.to(`contest-${data.contestId}`).emit('submission-received', data);
-  });
-
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+initRealtime(io);
 
 // Make io available to other modules
 app.set('io', io);
@@ -109,6 +93,14 @@ const PORT = process.env.PORT || 5000;
 
 server.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
+
+  // Start judging queued submissions (including any left over from a restart)
+  judgeQueue.start().catch((error) => {
+    console.error('Judge queue failed to start:', error);
+  });
+
+  // Drive contest status from startTime/endTime
+  contestScheduler.start();
 });
 
 // Handle unhandled promise rejections
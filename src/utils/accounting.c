@@ -0,0 +1,37 @@
+/*
+ * Accounting helper for the sandbox, built on first use. Runs a command,
+ * reaps it with wait4() and writes "<exit code> <signal> <cpu us> <max rss kB>"
+ * to fd 3, like /usr/bin/time. fd 3 is closed in the command itself. Exits
+ * with the command's status (128 + signal when a signal ended it).
+ */
+#include <errno.h>
+#include <fcntl.h>
+#include <stdio.h>
+#include <sys/resource.h>
+#include <sys/wait.h>
+#include <unistd.h>
+
+int main(int argc, char **argv) {
+  if (argc < 2) return 127;
+  fcntl(3, F_SETFD, FD_CLOEXEC);
+
+  pid_t pid = fork();
+  if (pid < 0) return 127;
+  if (pid == 0) {
+    execvp(argv[1], argv + 1);
+    _exit(127);
+  }
+
+  int status;
+  struct rusage usage;
+  while (wait4(pid, &status, 0, &usage) < 0) {
+    if (errno != EINTR) return 127;
+  }
+
+  int signal = WIFSIGNALED(status) ? WTERMSIG(status) : 0;
+  int code = signal ? 128 + signal : WEXITSTATUS(status);
+  long long cpu = (usage.ru_utime.tv_sec + usage.ru_stime.tv_sec) * 1000000LL
+    + usage.ru_utime.tv_usec + usage.ru_stime.tv_usec;
+  dprintf(3, "%d %d %lld %ld\n", code, signal, cpu, usage.ru_maxrss);
+  return code;
+}
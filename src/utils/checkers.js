@@ -0,0 +1,199 @@
+// Output checkers. A problem's `checker` setting picks one of the built-in
+// comparisons or a custom checker program written in a supported language.
+// The exact, tokens and float checkers compare text case-insensitively when
+// `caseInsensitive` is set.
+import fs from 'fs';
+import path from 'path';
+import { runSandboxed } from './sandbox.js';
+import { readTestText, writeTestText } from './testStorage.js';
+
+export const CHECKER_TYPES = ['exact', 'tokens', 'float', 'unordered_lines', 'custom'];
+
+const DEFAULT_EPSILON = 1e-6;
+const CHECKER_TIME_LIMIT_MS = 5000;
+const CHECKER_MEMORY_MB = 512;
+
+// How a custom checker program is invoked and what its exit codes mean; any
+// other exit is a checker failure.
+// - testlib: checker <input> <contestant output> <expected output>;
+//   0 = accepted, 1 = wrong answer, 2 = presentation error
+// - kattis: validator <input> <expected output> <feedback dir> < contestant output;
+//   42 = accepted, 43 = wrong answer
+const CHECKER_INTERFACES = {
+  testlib: {
+    args: ['input.txt', 'output.txt', 'answer.txt'],
+    outputOnStdin: false,
+    accepted: [0],
+    rejected: [1, 2]
+  },
+  kattis: {
+    args: ['input.txt', 'answer.txt', 'feedback'],
+    outputOnStdin: true,
+    accepted: [42],
+    rejected: [43]
+  }
+};
+
+export const CHECKER_INTERFACE_NAMES = Object.keys(CHECKER_INTERFACES);
+
+// Raised when the checker itself is broken, so the contestant is not blamed
+export class CheckerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CheckerError';
+  }
+}
+
+const toLines = (text) => {
+  const lines = String(text ?? '').split('\n').map((line) => line.replace(/\s+$/, ''));
+  while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+const toTokens = (text) => String(text ?? '').split(/\s+/).filter(Boolean);
+
+const verdict = (passed, message = '') => ({ passed, message });
+
+const sameText = (a, b) => a === b;
+const sameTextIgnoringCase = (a, b) => a.toLowerCase() === b.toLowerCase();
+const textComparison = (config) => (config?.caseInsensitive ? sameTextIgnoringCase : sameText);
+
+// Line-by-line match, ignoring trailing whitespace and trailing blank lines
+function checkExact(output, expected, compareLine = sameText) {
+  const actual = toLines(output);
+  const wanted = toLines(expected);
+  if (actual.length !== wanted.length) {
+    return verdict(false, `Expected ${wanted.length} line(s), found ${actual.length}`);
+  }
+  const line = wanted.findIndex((text, idx) => !compareLine(actual[idx], text));
+  return line === -1 ? verdict(true) : verdict(false, `Line ${line + 1} differs`);
+}
+
+function checkTokens(output, expected, compareToken = sameText) {
+  const actual = toTokens(output);
+  const wanted = toTokens(expected);
+  if (actual.length !== wanted.length) {
+    return verdict(false, `Expected ${wanted.length} token(s), found ${actual.length}`);
+  }
+  const token = wanted.findIndex((text, idx) => !compareToken(actual[idx], text));
+  return token === -1
+    ? verdict(true)
+    : verdict(false, `Token ${token + 1} differs: expected "${wanted[token]}", found "${actual[token]}"`);
+}
+
+function checkFloat(output, expected, config) {
+  const absoluteError = config.absoluteError ?? DEFAULT_EPSILON;
+  const relativeError = config.relativeError ?? DEFAULT_EPSILON;
+  const compareText = textComparison(config);
+
+  return checkTokens(output, expected, (actualToken, expectedToken) => {
+    const wantedNumber = Number(expectedToken);
+    if (!Number.isFinite(wantedNumber)) {
+      return compareText(actualToken, expectedToken);
+    }
+    const actualNumber = Number(actualToken);
+    if (!Number.isFinite(actualNumber)) return false;
+
+    const diff = Math.abs(actualNumber - wantedNumber);
+    return diff <= absoluteError || diff <= relativeError * Math.abs(wantedNumber);
+  });
+}
+
+function checkUnorderedLines(output, expected) {
+  const actual = toLines(output).sort();
+  const wanted = toLines(expected).sort();
+  if (actual.length !== wanted.length) {
+    return verdict(false, `Expected ${wanted.length} line(s), found ${actual.length}`);
+  }
+  return wanted.every((text, idx) => text === actual[idx])
+    ? verdict(true)
+    : verdict(false, 'Lines differ');
+}
+
+/**
+ * Build a checker for one judging run. Custom checker programs are compiled
+ * once through the given CodeRunner; call release() when the run is over.
+ * check({ testCase, output }) resolves to { passed, message }.
+ */
+export async function prepareChecker(config, runner) {
+  const type = config?.type || 'exact';
+
+  switch (type) {
+    case 'exact':
+      return builtin((output, expected) => checkExact(output, expected, textComparison(config)));
+    case 'tokens':
+      return builtin((output, expected) => checkTokens(output, expected, textComparison(config)));
+    case 'float':
+      return builtin((output, expected) => checkFloat(output, expected, config));
+    case 'unordered_lines':
+      return builtin((output, expected) => checkUnorderedLines(output, expected));
+    case 'custom':
+      return prepareCustomChecker(config, runner);
+    default:
+      throw new CheckerError(`Unknown checker type: ${type}`);
+  }
+}
+
+function builtin(compare) {
+  return {
+    check: async ({ testCase, output }) => compare(output, await readTestText(testCase, 'expectedOutput')),
+    release: () => {}
+  };
+}
+
+async function prepareCustomChecker(config, runner) {
+  let program;
+  try {
+    program = await runner.prepare(config.code, config.language);
+  } catch (error) {
+    const detail = error.name === 'CompilationError' ? error.compileOutput : error.message;
+    throw new CheckerError(`Checker failed to build: ${detail}`);
+  }
+
+  const protocol = CHECKER_INTERFACES[config.interface || 'testlib'];
+  if (!protocol) {
+    runner.release(program);
+    throw new CheckerError(`Unknown checker interface: ${config.interface}`);
+  }
+
+  return {
+    check: async ({ testCase, output }) => {
+      const feedbackDir = path.join(program.workDir, 'feedback');
+      await writeTestText(testCase, 'input', path.join(program.workDir, 'input.txt'));
+      fs.writeFileSync(path.join(program.workDir, 'output.txt'), String(output ?? ''));
+      await writeTestText(testCase, 'expectedOutput', path.join(program.workDir, 'answer.txt'));
+      fs.rmSync(feedbackDir, { recursive: true, force: true });
+      fs.mkdirSync(feedbackDir);
+
+      const [command, args] = program.spec.run(CHECKER_MEMORY_MB);
+      const result = await runSandboxed({
+        command,
+        args: [...args, ...protocol.args],
+        cwd: program.workDir,
+        input: protocol.outputOnStdin ? String(output ?? '') : '',
+        timeLimitMs: CHECKER_TIME_LIMIT_MS,
+        memoryLimitMb: CHECKER_MEMORY_MB,
+        limitAddressSpace: program.spec.limitAddressSpace !== false
+      });
+
+      const message = (readFeedback(feedbackDir) || result.stdout || result.stderr).trim().slice(0, 1000);
+      if (protocol.accepted.includes(result.exitCode) && !result.timedOut) {
+        return verdict(true, message);
+      }
+      if (protocol.rejected.includes(result.exitCode) && !result.timedOut) {
+        return verdict(false, message);
+      }
+      throw new CheckerError(`Checker failed (exit ${result.exitCode ?? result.signal}): ${message}`);
+    },
+    release: () => runner.release(program)
+  };
+}
+
+// Kattis validators explain their verdict in <feedback dir>/judgemessage.txt
+function readFeedback(feedbackDir) {
+  try {
+    return fs.readFileSync(path.join(feedbackDir, 'judgemessage.txt'), 'utf8');
+  } catch {
+    return '';
+  }
+}
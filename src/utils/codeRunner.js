@@ -1,302 +1,191 @@
 // Code execution utilities for different programming languages
-import { spawn } from 'child_process';
 import fs from 'fs';
 import path from 'path';
-import { v4 as uuidv4 } from 'uuid';
+import { SandboxUnavailableError, createWorkDir, removeWorkDir, runSandboxed } from './sandbox.js';
+import { CheckerError, prepareChecker } from './checkers.js';
+import { TestStorageError, openInput } from './testStorage.js';
+import { VERDICTS, classifyRun, describeRuntimeError } from './verdicts.js';
 
-const TIMEOUT_MS = 5000; // 5 seconds timeout
+const DEFAULT_TIME_LIMIT_MS = 1000;
 const MAX_MEMORY_MB = 256;
+const COMPILE_TIME_LIMIT_MS = 10000;
+const COMPILE_MEMORY_MB = 1024;
 
-export class CodeRunner {
-  constructor() {
-    this.tempDir = path.join(process.cwd(), 'temp');
-    this.ensureTempDir();
+// Per-language source file, build step and run command. Runtimes that reserve
+// large virtual heaps (V8, the JVM) get a heap flag instead of an address-space
+// rlimit, which would stop them from starting at all.
+const LANGUAGES = {
+  python: {
+    source: 'main.py',
+    run: () => ['python3', ['main.py']],
+    memoryError: /MemoryError/
+  },
+  javascript: {
+    source: 'main.js',
+    run: (memoryLimitMb) => ['node', [`--max-old-space-size=${memoryLimitMb}`, 'main.js']],
+    limitAddressSpace: false,
+    memoryError: /heap out of memory|Reached heap limit/
+  },
+  cpp: {
+    source: 'main.cpp',
+    compile: ['g++', ['-O2', '-o', 'main', 'main.cpp']],
+    run: () => ['./main', []],
+    memoryError: /std::bad_alloc/
+  },
+  java: {
+    source: 'Main.java',
+    compile: ['javac', ['Main.java']],
+    run: (memoryLimitMb) => ['java', [`-Xmx${memoryLimitMb}m`, '-Xss64m', '-cp', '.', 'Main']],
+    limitAddressSpace: false,
+    memoryError: /OutOfMemoryError/
   }
+};
 
-  ensureTempDir() {
-    if (!fs.existsSync(this.tempDir)) {
-      fs.mkdirSync(this.tempDir, { recursive: true });
-    }
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+// Raised once per submission when the build step fails
+export class CompilationError extends Error {
+  constructor(compileOutput) {
+    super('Compilation failed');
+    this.name = 'CompilationError';
+    this.compileOutput = compileOutput;
   }
+}
 
-  async runCode(code, language, testCases) {
+export class CodeRunner {
+  // options: { timeLimit, memoryLimit, checker } - usually taken from the Problem
+  async runCode(code, language, testCases, options = {}) {
+    // Compile once; every test case reuses the same artifact
+    const program = await this.prepare(code, language);
     const results = [];
-    
-    for (const testCase of testCases) {
-      try {
-        const result = await this.executeTestCase(code, language, testCase);
-        results.push(result);
-      } catch (error) {
-        results.push({
-          passed: false,
-          executionTime: 0,
-          memoryUsed: 0,
-          output: '',
-          error: error.message
-        });
+    let checker;
+
+    try {
+      checker = await prepareChecker(options.checker, this);
+
+      for (const testCase of testCases) {
+        try {
+          const result = await this.executeTestCase(program, testCase, options, checker);
+          results.push(result);
+        } catch (error) {
+          // A broken checker, missing test data or an unisolated host is a
+          // judge problem, not the contestant's
+          if (error instanceof CheckerError || error instanceof TestStorageError
+            || error instanceof SandboxUnavailableError) throw error;
+          results.push({
+            passed: false,
+            status: VERDICTS.RE,
+            executionTime: 0,
+            wallTime: 0,
+            memoryUsed: 0,
+            output: '',
+            error: error.message
+          });
+        }
       }
+    } finally {
+      checker?.release();
+      this.release(program);
     }
-    
+
     return results;
   }
 
-  async executeTestCase(code, language, testCase) {
-    const startTime = Date.now();
-    const tempFile = path.join(this.tempDir, `${uuidv4()}.${this.getFileExtension(language)}`);
-    
+  // Run once against ad-hoc input that has no expected answer. A clean run is
+  // reported as 'completed' rather than a verdict.
+  async runCustom(code, language, input, options = {}) {
+    const program = await this.prepare(code, language);
     try {
-      // Write code to temporary file
-      fs.writeFileSync(tempFile, code);
-      
-      // Execute based on language
-      let result;
-      switch (language) {
-        case 'python':
-          result = await this.runPython(tempFile, testCase);
-          break;
-        case 'javascript':
-          result = await this.runJavaScript(tempFile, testCase);
-          break;
-        case 'cpp':
-          result = await this.runCpp(tempFile, testCase);
-          break;
-        case 'java':
-          result = await this.runJava(tempFile, testCase);
-          break;
-        default:
-          throw new Error(`Unsupported language: ${language}`);
-      }
-      
-      const executionTime = Date.now() - startTime;
-      const memoryUsed = this.estimateMemoryUsage(result.output);
-      
-      return {
-        passed: result.output.trim() === testCase.expectedOutput.trim(),
-        executionTime,
-        memoryUsed,
-        output: result.output,
-        error: result.error
-      };
-      
+      const result = await this.executeTestCase(program, { input }, options, null);
+      return { ...result, status: result.status === VERDICTS.AC ? 'completed' : result.status };
     } finally {
-      // Clean up temporary file
-      if (fs.existsSync(tempFile)) {
-        fs.unlinkSync(tempFile);
-      }
+      this.release(program);
     }
   }
 
-  async runPython(filePath, testCase) {
-    return new Promise((resolve, reject) => {
-      const process = spawn('python', [filePath], {
-        timeout: TIMEOUT_MS,
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
-      
-      let output = '';
-      let error = '';
-      
-      process.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-      
-      process.stderr.on('data', (data) => {
-        error += data.toString();
-      });
-      
-      process.on('close', (code) => {
-        if (code !== 0) {
-          reject(new Error(`Process exited with code ${code}: ${error}`));
-        } else {
-          resolve({ output, error });
-        }
-      });
-      
-      process.on('error', (err) => {
-        reject(err);
-      });
-      
-      // Send input to the process - ensure it's a string
-      const inputString = typeof testCase.input === 'string' ? testCase.input : JSON.stringify(testCase.input);
-      process.stdin.write(inputString);
-      process.stdin.end();
-    });
-  }
+  // Write the source into a private working directory and build it if the
+  // language needs a build step. Callers must release() the returned program.
+  async prepare(code, language) {
+    const spec = LANGUAGES[language];
+    if (!spec) {
+      throw new Error(`Unsupported language: ${language}`);
+    }
 
-  async runJavaScript(filePath, testCase) {
-    return new Promise((resolve, reject) => {
-      const process = spawn('node', [filePath], {
-        timeout: TIMEOUT_MS,
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
-      
-      let output = '';
-      let error = '';
-      
-      process.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-      
-      process.stderr.on('data', (data) => {
-        error += data.toString();
-      });
-      
-      process.on('close', (code) => {
-        if (code !== 0) {
-          reject(new Error(`Process exited with code ${code}: ${error}`));
-        } else {
-          resolve({ output, error });
+    const workDir = createWorkDir();
+
+    try {
+      fs.writeFileSync(path.join(workDir, spec.source), code);
+
+      if (spec.compile) {
+        const [command, args] = spec.compile;
+        const compiled = await runSandboxed({
+          command,
+          args,
+          cwd: workDir,
+          timeLimitMs: COMPILE_TIME_LIMIT_MS,
+          memoryLimitMb: COMPILE_MEMORY_MB,
+          limitAddressSpace: spec.limitAddressSpace !== false
+        });
+        if (compiled.exitCode !== 0 || compiled.timedOut) {
+          throw new CompilationError(compiled.timedOut ? 'Compilation timed out' : compiled.stderr);
         }
-      });
-      
-      process.on('error', (err) => {
-        reject(err);
-      });
-      
-      // Send input to the process - ensure it's a string
-      const inputString = typeof testCase.input === 'string' ? testCase.input : JSON.stringify(testCase.input);
-      process.stdin.write(inputString);
-      process.stdin.end();
-    });
+      }
+    } catch (error) {
+      removeWorkDir(workDir);
+      throw error;
+    }
+
+    return { spec, workDir };
   }
 
-  async runCpp(filePath, testCase) {
-    const executablePath = filePath.replace('.cpp', '.exe');
-    
-    return new Promise((resolve, reject) => {
-      // First compile
-      const compileProcess = spawn('g++', [filePath, '-o', executablePath], {
-        timeout: TIMEOUT_MS
-      });
-      
-      compileProcess.on('close', (code) => {
-        if (code !== 0) {
-          reject(new Error('Compilation failed'));
-          return;
-        }
-        
-        // Then run
-        const runProcess = spawn(executablePath, [], {
-          timeout: TIMEOUT_MS,
-          stdio: ['pipe', 'pipe', 'pipe']
-        });
-        
-        let output = '';
-        let error = '';
-        
-        runProcess.stdout.on('data', (data) => {
-          output += data.toString();
-        });
-        
-        runProcess.stderr.on('data', (data) => {
-          error += data.toString();
-        });
-        
-        runProcess.on('close', (code) => {
-          // Clean up executable
-          if (fs.existsSync(executablePath)) {
-            fs.unlinkSync(executablePath);
-          }
-          
-          if (code !== 0) {
-            reject(new Error(`Process exited with code ${code}: ${error}`));
-          } else {
-            resolve({ output, error });
-          }
-        });
-        
-        runProcess.on('error', (err) => {
-          reject(err);
-        });
-        
-        // Send input to the process - ensure it's a string
-        const inputString = typeof testCase.input === 'string' ? testCase.input : JSON.stringify(testCase.input);
-        runProcess.stdin.write(inputString);
-        runProcess.stdin.end();
-      });
-      
-      compileProcess.on('error', (err) => {
-        reject(err);
-      });
-    });
+  release(program) {
+    removeWorkDir(program?.workDir);
   }
 
-  async runJava(filePath, testCase) {
-    const className = path.basename(filePath, '.java');
-    const classPath = path.dirname(filePath);
-    
-    return new Promise((resolve, reject) => {
-      // First compile
-      const compileProcess = spawn('javac', [filePath], {
-        timeout: TIMEOUT_MS
-      });
-      
-      compileProcess.on('close', (code) => {
-        if (code !== 0) {
-          reject(new Error('Compilation failed'));
-          return;
-        }
-        
-        // Then run
-        const runProcess = spawn('java', ['-cp', classPath, className], {
-          timeout: TIMEOUT_MS,
-          stdio: ['pipe', 'pipe', 'pipe']
-        });
-        
-        let output = '';
-        let error = '';
-        
-        runProcess.stdout.on('data', (data) => {
-          output += data.toString();
-        });
-        
-        runProcess.stderr.on('data', (data) => {
-          error += data.toString();
-        });
-        
-        runProcess.on('close', (code) => {
-          // Clean up class file
-          const classFilePath = path.join(classPath, `${className}.class`);
-          if (fs.existsSync(classFilePath)) {
-            fs.unlinkSync(classFilePath);
-          }
-          
-          if (code !== 0) {
-            reject(new Error(`Process exited with code ${code}: ${error}`));
-          } else {
-            resolve({ output, error });
-          }
-        });
-        
-        runProcess.on('error', (err) => {
-          reject(err);
-        });
-        
-        // Send input to the process - ensure it's a string
-        const inputString = typeof testCase.input === 'string' ? testCase.input : JSON.stringify(testCase.input);
-        runProcess.stdin.write(inputString);
-        runProcess.stdin.end();
-      });
-      
-      compileProcess.on('error', (err) => {
-        reject(err);
-      });
+  async executeTestCase(program, testCase, options, checker) {
+    const { spec, workDir } = program;
+    const timeLimit = Number(options.timeLimit) || DEFAULT_TIME_LIMIT_MS;
+    const memoryLimit = Number(options.memoryLimit) || MAX_MEMORY_MB;
+
+    const [command, args] = spec.run(memoryLimit);
+    // Stored test data is streamed in rather than loaded into memory
+    const result = await runSandboxed({
+      command,
+      args,
+      cwd: workDir,
+      input: openInput(testCase),
+      timeLimitMs: timeLimit,
+      memoryLimitMb: memoryLimit,
+      limitAddressSpace: spec.limitAddressSpace !== false
     });
-  }
 
-  getFileExtension(language) {
-    const extensions = {
-      python: 'py',
-      javascript: 'js',
-      cpp: 'cpp',
-      java: 'java'
-    };
-    return extensions[language] || 'txt';
-  }
+    // Limits are judged on measured CPU time and peak RSS, not wall clock
+    const timeLimitExceeded = result.timedOut || result.cpuTime > timeLimit;
+    const memoryLimitExceeded = result.peakMemoryKb > memoryLimit * 1024
+      || ((result.exitCode !== 0 || result.signal) && spec.memoryError.test(result.stderr));
+    const completed = result.exitCode === 0 && !timeLimitExceeded && !memoryLimitExceeded
+      && !result.outputLimitExceeded;
 
-  estimateMemoryUsage(output) {
-    // Simple estimation based on output size
-    const outputSize = Buffer.byteLength(output, 'utf8');
-    return Math.ceil(outputSize / 1024); // Convert to KB, then to MB
+    // Only a clean run is worth handing to the checker; without one, a clean
+    // run is all that is asked for
+    const checked = completed && checker
+      ? await checker.check({ testCase, output: result.stdout })
+      : { passed: completed, message: '' };
+    const status = classifyRun({ ...result, timeLimitExceeded, memoryLimitExceeded, passed: checked.passed });
+
+    return {
+      passed: status === VERDICTS.AC,
+      status,
+      exitCode: result.exitCode,
+      signal: result.signal,
+      checkerMessage: checked.message,
+      executionTime: result.cpuTime,
+      wallTime: result.wallTime,
+      memoryUsed: result.peakMemoryKb,
+      output: result.outputLimitExceeded ? '' : result.stdout,
+      error: status === VERDICTS.OLE ? 'Output limit exceeded'
+        : status === VERDICTS.RE ? `${describeRuntimeError(result)}\n${result.stderr}`.trim()
+        : result.stderr
+    };
   }
 }
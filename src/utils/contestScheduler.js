@@ -0,0 +1,131 @@
+// Moves published contests through their time-driven states
+// (scheduled -> running -> frozen -> ended -> finalized) based on
+// startTime, endTime and freezeDuration, and records the official standings
+// once a contest is finalized.
+import Contest from '../models/Contest.js';
+import Submission from '../models/Submission.js';
+import { finalizeStandings } from './finalization.js';
+import { emitToAdmins, emitToContest } from './realtime.js';
+
+const DEFAULT_INTERVAL_MS = 5000;
+
+export class ContestScheduler {
+  constructor(options = {}) {
+    this.interval = options.interval
+      || parseInt(process.env.CONTEST_SCHEDULER_INTERVAL_MS)
+      || DEFAULT_INTERVAL_MS;
+    this.timer = null;
+    this.ticking = false;
+    this.backfilled = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.interval);
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick() {
+    // Skip overlapping ticks if one run takes longer than the interval
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      if (!this.backfilled) {
+        await backfillContestStatus();
+        this.backfilled = true;
+      }
+
+      const now = new Date();
+      const contests = await Contest.find({ status: { $in: ['scheduled', 'running', 'frozen', 'ended'] } });
+
+      for (const contest of contests) {
+        const next = contest.scheduledStatus(now);
+        if (next !== contest.status) {
+          await transition(contest, next);
+        }
+        if (contest.status === 'ended') {
+          await this.finalizeIfJudged(contest);
+        }
+      }
+
+      // Finalized contests whose snapshot was never written (e.g. a restart
+      // between the transition and the snapshot)
+      const unrecorded = await Contest.find({ status: 'finalized', standingsVersion: 0 });
+      for (const contest of unrecorded) {
+        await finalizeStandings(contest);
+      }
+    } catch (error) {
+      console.error('Contest scheduler error:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // An ended contest is final once every submission has a verdict
+  async finalizeIfJudged(contest) {
+    const unjudged = await Submission.exists({
+      contestId: contest._id,
+      status: { $in: ['pending', 'running'] }
+    });
+    if (!unjudged && await transition(contest, 'finalized')) {
+      await finalizeStandings(contest);
+    }
+  }
+}
+
+/**
+ * Contests stored before the status lifecycle existed have no status field,
+ * so neither the scheduler's query nor the guarded transition would ever
+ * match them. Deactivated ones become drafts; the rest are scheduled and the
+ * next tick moves them to wherever the clock says.
+ */
+export async function backfillContestStatus() {
+  const missing = { status: { $exists: false } };
+  const drafts = await Contest.updateMany({ ...missing, isActive: false }, { $set: { status: 'draft' } });
+  const scheduled = await Contest.updateMany(missing, { $set: { status: 'scheduled' } });
+  const total = drafts.modifiedCount + scheduled.modifiedCount;
+  if (total > 0) {
+    console.log(`Contest scheduler gave ${total} legacy contest(s) a status`);
+  }
+}
+
+/**
+ * Move a contest from its current status to `to`. The update only applies if
+ * nobody changed the status in the meantime; returns false when it lost.
+ */
+export async function transition(contest, to) {
+  const from = contest.status;
+  const updated = await Contest.findOneAndUpdate(
+    { _id: contest._id, status: from },
+    {
+      $set: {
+        status: to,
+        isLive: ['running', 'frozen'].includes(to),
+        isActive: to !== 'cancelled',
+        updatedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+  if (!updated) return false;
+
+  contest.status = updated.status;
+  contest.isLive = updated.isLive;
+  contest.isActive = updated.isActive;
+
+  const payload = { contestId: contest._id, from, to, at: new Date().toISOString() };
+  emitToContest(contest._id, 'contest:status', payload);
+  emitToAdmins('moderation:contest-status', payload);
+  console.log(`Contest ${contest._id} ${from} -> ${to}`);
+  return true;
+}
+
+export const contestScheduler = new ContestScheduler();
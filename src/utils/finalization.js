@@ -0,0 +1,61 @@
+// Official results of a finished contest. Ranks are computed in one pass from
+// the true standings, written to every ContestResult and recorded as a new
+// immutable StandingsSnapshot version.
+import Contest from '../models/Contest.js';
+import ContestResult from '../models/ContestResult.js';
+import StandingsSnapshot from '../models/StandingsSnapshot.js';
+import { buildStandings } from './leaderboard.js';
+import { emitToAdmins, emitToContest } from './realtime.js';
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Snapshot the contest's current standings. Returns the snapshot, or null if
+ * a concurrent run already recorded the same version.
+ */
+export async function finalizeStandings(contest, { reason = 'finalized' } = {}) {
+  const standings = await buildStandings(contest._id, { view: 'admin' });
+  const latest = await StandingsSnapshot.findOne({ contestId: contest._id })
+    .select('version')
+    .sort({ version: -1 });
+  const version = (latest?.version || 0) + 1;
+
+  let snapshot;
+  try {
+    snapshot = await StandingsSnapshot.create({
+      contestId: contest._id,
+      version,
+      reason,
+      scoringMode: contest.scoringMode,
+      rows: standings.map((row) => ({
+        rank: row.rank,
+        userId: row.userId?._id || row.userId,
+        name: row.userId?.name,
+        totalScore: row.totalScore,
+        solvedCount: row.solvedCount,
+        penalties: row.penalties,
+        totalTime: row.totalTime,
+        problemResults: row.problemResults
+      }))
+    });
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY) return null;
+    throw error;
+  }
+
+  if (standings.length > 0) {
+    await ContestResult.bulkWrite(standings.map((row) => ({
+      updateOne: {
+        filter: { _id: row._id },
+        update: { $set: { rank: row.rank } }
+      }
+    })));
+  }
+  await Contest.updateOne({ _id: contest._id }, { $max: { standingsVersion: version } });
+
+  const payload = { contestId: contest._id, version, reason, at: snapshot.createdAt.toISOString() };
+  emitToContest(contest._id, 'contest:standings', payload);
+  emitToAdmins('moderation:standings-snapshot', payload);
+  console.log(`Contest ${contest._id} standings v${version} (${reason})`);
+  return snapshot;
+}
@@ -0,0 +1,136 @@
+// Shared plumbing for reading problem archives: zip access relative to the
+// package root, format detection and source-file helpers. Packages are zips
+// only; the uncompressed size and the number of files are capped before
+// anything is inflated.
+import path from 'path';
+import AdmZip from 'adm-zip';
+
+const MAX_UNPACKED_BYTES = (parseInt(process.env.PROBLEM_PACKAGE_MAX_UNPACKED_MB) || 512) * 1024 * 1024;
+const MAX_ENTRIES = parseInt(process.env.PROBLEM_PACKAGE_MAX_FILES) || 10000;
+
+// File that identifies each supported package layout
+const FORMAT_MARKERS = {
+  'problem.json': 'native',
+  'problem.xml': 'polygon',
+  'problem.yaml': 'kattis'
+};
+
+export const EXTENSIONS = {
+  python: 'py',
+  javascript: 'js',
+  cpp: 'cpp',
+  java: 'java'
+};
+
+const LANGUAGE_BY_EXTENSION = {
+  ...Object.fromEntries(Object.entries(EXTENSIONS).map(([language, ext]) => [ext, language])),
+  cc: 'cpp',
+  cxx: 'cpp'
+};
+
+// Supported language of a source file, from its extension
+export const languageOf = (name) => LANGUAGE_BY_EXTENSION[path.extname(name).slice(1).toLowerCase()];
+
+// Malformed archive; `errors` lists every problem found
+export class PackageError extends Error {
+  constructor(errors) {
+    super(`Invalid problem package: ${errors.join('; ')}`);
+    this.name = 'PackageError';
+    this.errors = errors;
+  }
+}
+
+// tar (ustar magic at offset 257) and gzip, which setters often reach for
+const isTar = (buffer) => buffer.length > 262 && buffer.toString('latin1', 257, 262) === 'ustar';
+const isGzip = (buffer) => buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+
+// Refuse an archive whose declared contents are over the caps. Each entry
+// inflates to at most its declared size, so this bounds what reading costs.
+function checkArchiveSize(entries) {
+  const files = entries.filter((entry) => !entry.isDirectory);
+  if (files.length > MAX_ENTRIES) {
+    throw new PackageError([`archive has ${files.length} files; at most ${MAX_ENTRIES} are allowed`]);
+  }
+  const unpacked = files.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (unpacked > MAX_UNPACKED_BYTES) {
+    throw new PackageError([`archive unpacks to more than ${MAX_UNPACKED_BYTES / (1024 * 1024)} MB`]);
+  }
+}
+
+/**
+ * Open a zip and locate the package root: the directory holding one of the
+ * format marker files, either at the top level or one directory down (setters
+ * often zip the folder itself rather than its contents).
+ */
+export function openArchive(buffer) {
+  if (isTar(buffer) || isGzip(buffer)) {
+    throw new PackageError(['tar and gzip archives are not supported; upload the package as a zip']);
+  }
+
+  let zip;
+  let entries;
+  try {
+    zip = new AdmZip(buffer);
+    entries = zip.getEntries();
+  } catch (error) {
+    throw new PackageError([`not a zip archive (${error.message})`]);
+  }
+  checkArchiveSize(entries);
+
+  const files = new Map();
+  for (const entry of entries) {
+    if (!entry.isDirectory) {
+      files.set(entry.entryName.replace(/\\/g, '/'), entry.getData().toString('utf8'));
+    }
+  }
+
+  let root = null;
+  let format = null;
+  for (const name of files.keys()) {
+    const match = /^(?:([^/]+)\/)?([^/]+)$/.exec(name);
+    if (!match || !FORMAT_MARKERS[match[2]]) continue;
+    const candidate = match[1] ? `${match[1]}/` : '';
+    // Prefer the top level if both exist
+    if (root === null || (candidate === '' && root !== '')) {
+      root = candidate;
+      format = FORMAT_MARKERS[match[2]];
+    }
+  }
+  if (root === null) {
+    throw new PackageError([`no ${Object.keys(FORMAT_MARKERS).join(', ')} found`]);
+  }
+
+  const names = [...files.keys()]
+    .filter((name) => name.startsWith(root))
+    .map((name) => name.slice(root.length));
+
+  return {
+    format,
+    read: (name) => files.get(root + name),
+    // Files directly inside `dir` (which ends with "/"), sorted by name
+    list: (dir) => names
+      .filter((name) => name.startsWith(dir) && !name.slice(dir.length).includes('/'))
+      .map((name) => name.slice(dir.length))
+      .sort(),
+    // Every file below `dir`, as paths relative to it, sorted
+    listAll: (dir) => names
+      .filter((name) => name.startsWith(dir))
+      .map((name) => name.slice(dir.length))
+      .sort()
+  };
+}
+
+/**
+ * Replace `#include "file"` lines whose file is available from `read` with
+ * the file's content, so a multi-file checker (testlib.h, validate.h)
+ * compiles as a single source.
+ */
+export function inlineIncludes(source, read, seen = new Set()) {
+  return source.replace(/^[ \t]*#include\s+"([^"]+)"[^\n]*$/gm, (line, name) => {
+    const content = read(name);
+    if (content === undefined) return line;
+    if (seen.has(name)) return '';
+    seen.add(name);
+    return inlineIncludes(content, read, seen);
+  });
+}
@@ -0,0 +1,177 @@
+/**
+ * Kattis problem package importer (problemtools layout).
+ *
+ *   problem.yaml                            name, limits, validation, keywords
+ *   .timelimit                              time limit in seconds (legacy)
+ *   problem_statement/problem.en.md|.tex    statement (or statement/ in newer packages)
+ *   data/sample/*.in, *.ans                 examples; also judged, visibly
+ *   data/secret/[<group>/]*.in, *.ans       hidden tests, groups flattened in name order
+ *   output_validators/<name>/*              custom output validator (or output_validator/)
+ *   input_validators/[<name>/]*             input validator (first single-source one)
+ *   submissions/<verdict>/*                 reference solutions (single-file ones)
+ *
+ * `validation: default` maps validator_flags onto the built-in checkers
+ * (float_tolerance and friends -> float, space_change_sensitive -> exact,
+ * otherwise tokens). `validation: custom` imports the validator as a custom
+ * checker using the Kattis interface (exit 42 = accepted, 43 = wrong answer).
+ * Interactive and scoring problems are not supported.
+ */
+import YAML from 'yaml';
+import path from 'path';
+import { VERDICTS } from '../verdicts.js';
+import { PackageError, inlineIncludes, languageOf } from './archive.js';
+
+const STATEMENT_FILES = [
+  'problem_statement/problem.en.md',
+  'problem_statement/problem.md',
+  'statement/problem.en.md',
+  'problem_statement/problem.en.tex',
+  'problem_statement/problem.tex',
+  'statement/problem.en.tex'
+];
+
+const VALIDATOR_DIRS = ['output_validators/', 'output_validator/'];
+
+// submissions/ directory -> expected verdict
+const SUBMISSION_VERDICTS = {
+  accepted: VERDICTS.AC,
+  wrong_answer: VERDICTS.WA,
+  time_limit_exceeded: VERDICTS.TLE,
+  run_time_error: VERDICTS.RE
+};
+const DEFAULT_TIME_LIMIT_SECONDS = 1;
+
+export function readKattisPackage({ read, list, listAll }) {
+  const errors = [];
+
+  let config;
+  try {
+    config = YAML.parse(read('problem.yaml')) || {};
+  } catch (error) {
+    throw new PackageError([`problem.yaml: ${error.message}`]);
+  }
+
+  const validation = String(config.validation || 'default').split(/\s+/);
+  if (validation.includes('interactive') || validation.includes('score')) {
+    throw new PackageError([`validation "${validation.join(' ')}" is not supported`]);
+  }
+
+  const name = typeof config.name === 'object' && config.name !== null
+    ? config.name.en || Object.values(config.name)[0]
+    : config.name;
+  const keywords = Array.isArray(config.keywords)
+    ? config.keywords
+    : String(config.keywords || '').split(/[\s,]+/);
+
+  const fields = {
+    title: name,
+    difficulty: 'Medium',
+    tags: keywords.filter(Boolean),
+    examples: [],
+    testCases: []
+  };
+
+  const statementFile = STATEMENT_FILES.find((file) => read(file) !== undefined);
+  if (statementFile) fields.description = read(statementFile).trim();
+  else errors.push('no problem statement found');
+
+  // Limits
+  const seconds = Number(config.limits?.time_limit) || Number(read('.timelimit')) || DEFAULT_TIME_LIMIT_SECONDS;
+  fields.timeLimit = Math.round(seconds * 1000);
+  if (config.limits?.memory) fields.memoryLimit = Number(config.limits.memory);
+
+  // Test data
+  const readTests = (dir, isHidden) => listAll(dir)
+    .filter((file) => file.endsWith('.in'))
+    .map((file) => {
+      const base = file.slice(0, -'.in'.length);
+      const expectedOutput = read(`${dir}${base}.ans`);
+      if (expectedOutput === undefined) {
+        errors.push(`${dir}${base}.ans is missing`);
+        return null;
+      }
+      return { input: read(`${dir}${file}`), expectedOutput, isHidden, points: 1 };
+    })
+    .filter(Boolean);
+
+  const samples = readTests('data/sample/', false);
+  fields.examples = samples.map(({ input, expectedOutput }) => ({ input, output: expectedOutput }));
+  fields.testCases = [...samples, ...readTests('data/secret/', true)];
+  if (fields.testCases.length === 0) errors.push('no test data found under data/sample or data/secret');
+
+  fields.checker = validation.includes('custom')
+    ? readOutputValidator({ list, listAll, read }, errors)
+    : defaultChecker(config.validator_flags);
+
+  const inputValidator = readInputValidator({ listAll, read });
+  if (inputValidator) fields.inputValidator = inputValidator;
+
+  fields.referenceSolutions = Object.entries(SUBMISSION_VERDICTS).flatMap(([dir, expectedVerdict]) =>
+    list(`submissions/${dir}/`)
+      .filter((file) => languageOf(file))
+      .map((file) => ({
+        name: `${dir}/${path.basename(file, path.extname(file))}`,
+        language: languageOf(file),
+        code: read(`submissions/${dir}/${file}`),
+        expectedVerdict
+      })));
+
+  if (errors.length > 0) throw new PackageError(errors);
+  return { id: undefined, fields };
+}
+
+// Built-in checker equivalent to the default validator with these flags. The
+// default validator ignores case unless told otherwise.
+function defaultChecker(flags) {
+  const words = String(flags || '').split(/\s+/).filter(Boolean);
+  const value = (flag) => {
+    const index = words.indexOf(flag);
+    return index === -1 ? undefined : Number(words[index + 1]);
+  };
+
+  const caseInsensitive = !words.includes('case_sensitive');
+  const tolerance = value('float_tolerance');
+  const absoluteError = value('float_absolute_tolerance') ?? tolerance;
+  const relativeError = value('float_relative_tolerance') ?? tolerance;
+  if (absoluteError !== undefined || relativeError !== undefined) {
+    return { type: 'float', absoluteError: absoluteError ?? 0, relativeError: relativeError ?? 0, caseInsensitive };
+  }
+  return { type: words.includes('space_change_sensitive') ? 'exact' : 'tokens', caseInsensitive };
+}
+
+// Input validators follow the Kattis convention too: exit 42 means valid
+function readInputValidator({ listAll, read }) {
+  const source = listAll('input_validators/').find((file) => languageOf(file));
+  if (!source) return undefined;
+
+  const dir = `input_validators/${source.includes('/') ? source.slice(0, source.lastIndexOf('/') + 1) : ''}`;
+  return {
+    language: languageOf(source),
+    code: inlineIncludes(read(`input_validators/${source}`), (name) => read(`${dir}${name}`)),
+    interface: 'kattis'
+  };
+}
+
+function readOutputValidator({ list, listAll, read }, errors) {
+  for (const base of VALIDATOR_DIRS) {
+    // Legacy packages nest each validator in its own directory
+    const dirs = base === 'output_validators/'
+      ? [...new Set(listAll(base).filter((f) => f.includes('/')).map((f) => f.split('/')[0]))].map((d) => `${base}${d}/`)
+      : [base];
+
+    for (const dir of dirs) {
+      const source = list(dir).find((file) => languageOf(file));
+      if (!source) continue;
+
+      return {
+        type: 'custom',
+        interface: 'kattis',
+        language: languageOf(source),
+        code: inlineIncludes(read(`${dir}${source}`), (name) => read(`${dir}${name}`))
+      };
+    }
+  }
+
+  errors.push('validation is custom but no output validator source was found');
+  return undefined;
+}
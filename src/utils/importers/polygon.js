@@ -0,0 +1,205 @@
+/**
+ * Polygon (Codeforces) package importer. Expects a *full* package, i.e. one
+ * whose tests/ directory already holds the generated tests and answers.
+ *
+ *   problem.xml                          names, limits, tests, checker, tags
+ *   statement-sections/<lang>/*.tex      legend, input, output and notes
+ *   statements/<lang>/problem.tex        fallback statement
+ *   tests/NN, tests/NN.a                 per the testset's path patterns
+ *   files/check.cpp, files/testlib.h     checker source
+ *   files/val.cpp                        input validator source
+ *   solutions/*                          reference solutions, per their tag
+ *
+ * Sample tests become examples (and stay visible); every other test is
+ * hidden. Standard testlib checkers map onto the built-in checker types;
+ * anything else is imported as a custom testlib checker with testlib.h
+ * inlined.
+ */
+import { XMLParser } from 'fast-xml-parser';
+import path from 'path';
+import { VERDICTS } from '../verdicts.js';
+import { PackageError, inlineIncludes, languageOf } from './archive.js';
+
+const ARRAY_TAGS = ['name', 'statement', 'testset', 'test', 'tag', 'file', 'source', 'solution', 'validator'];
+
+// Standard checkers with a built-in equivalent
+const STANDARD_CHECKERS = {
+  'std::fcmp.cpp': { type: 'exact' },
+  'std::wcmp.cpp': { type: 'tokens' },
+  'std::ncmp.cpp': { type: 'tokens' },
+  'std::hcmp.cpp': { type: 'tokens' },
+  'std::rcmp4.cpp': { type: 'float', absoluteError: 1e-4, relativeError: 1e-4 },
+  'std::rcmp6.cpp': { type: 'float', absoluteError: 1e-6, relativeError: 1e-6 },
+  'std::rcmp9.cpp': { type: 'float', absoluteError: 1e-9, relativeError: 1e-9 }
+};
+
+// Solution tags that promise a single verdict; the rest ("rejected",
+// "time-limit-exceeded-or-accepted", ...) are not imported
+const SOLUTION_VERDICTS = {
+  main: VERDICTS.AC,
+  accepted: VERDICTS.AC,
+  'wrong-answer': VERDICTS.WA,
+  'time-limit-exceeded': VERDICTS.TLE,
+  'memory-limit-exceeded': VERDICTS.MLE
+};
+
+const STATEMENT_LANGUAGES = ['english', 'russian'];
+const BYTES_PER_MB = 1024 * 1024;
+
+// Expand a printf-style pattern such as "tests/%02d" for test `index`
+const testPath = (pattern, index) =>
+  pattern.replace(/%0?(\d*)d/, (match, width) => String(index).padStart(Number(width) || 0, '0'));
+
+export function readPolygonPackage({ read, list }) {
+  const errors = [];
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    isArray: (tag) => ARRAY_TAGS.includes(tag)
+  });
+
+  let problem;
+  try {
+    problem = parser.parse(read('problem.xml')).problem;
+  } catch (error) {
+    throw new PackageError([`problem.xml: ${error.message}`]);
+  }
+  if (!problem) throw new PackageError(['problem.xml has no <problem> element']);
+
+  const names = problem.names?.name || [];
+  const title = (names.find(n => n.language === 'english') || names[0])?.value || problem['short-name'];
+
+  const fields = {
+    title,
+    difficulty: 'Medium',
+    tags: (problem.tags?.tag || []).map(t => t.value).filter(Boolean),
+    description: readStatement({ read, list }),
+    examples: [],
+    testCases: []
+  };
+  if (!fields.description) errors.push('no statement found under statement-sections/ or statements/');
+
+  // The "tests" testset is the one Polygon judges with
+  const testsets = problem.judging?.testset || [];
+  const testset = testsets.find(t => t.name === 'tests') || testsets[0];
+  if (!testset) {
+    throw new PackageError(['problem.xml has no testset']);
+  }
+
+  fields.timeLimit = Number(testset['time-limit']) || undefined;
+  const memoryBytes = Number(testset['memory-limit']);
+  if (memoryBytes) fields.memoryLimit = Math.round(memoryBytes / BYTES_PER_MB);
+
+  const tests = testset.tests?.test || [];
+  const inputPattern = testset['input-path-pattern'] || 'tests/%02d';
+  const answerPattern = testset['answer-path-pattern'] || 'tests/%02d.a';
+  const scored = tests.some(test => test.points !== undefined);
+
+  tests.forEach((test, idx) => {
+    const inputPath = testPath(inputPattern, idx + 1);
+    const answerPath = testPath(answerPattern, idx + 1);
+    const input = read(inputPath);
+    const expectedOutput = read(answerPath);
+    if (input === undefined || expectedOutput === undefined) {
+      errors.push(`${input === undefined ? inputPath : answerPath} is missing (export a full package from Polygon)`);
+      return;
+    }
+
+    const sample = test.sample === 'true';
+    if (sample) fields.examples.push({ input, output: expectedOutput });
+    fields.testCases.push({
+      input,
+      expectedOutput,
+      isHidden: !sample,
+      points: scored ? Number(test.points) || 0 : 1
+    });
+  });
+
+  fields.checker = readChecker(problem.assets?.checker, read, errors);
+  const validator = readValidator(problem.assets?.validators?.validator?.[0], read);
+  if (validator) fields.inputValidator = validator;
+  fields.referenceSolutions = readSolutions(problem.assets?.solutions?.solution || [], read);
+
+  if (errors.length > 0) throw new PackageError(errors);
+  return { id: undefined, fields };
+}
+
+function readStatement({ read, list }) {
+  for (const language of STATEMENT_LANGUAGES) {
+    const dir = `statement-sections/${language}/`;
+    if (list(dir).length === 0) continue;
+
+    const sections = [
+      ['', read(`${dir}legend.tex`)],
+      ['## Input', read(`${dir}input.tex`)],
+      ['## Output', read(`${dir}output.tex`)],
+      ['## Notes', read(`${dir}notes.tex`)]
+    ].filter(([, text]) => text && text.trim());
+
+    if (sections.length > 0) {
+      return sections.map(([heading, text]) => (heading ? `${heading}\n\n${text.trim()}` : text.trim())).join('\n\n');
+    }
+  }
+
+  for (const language of STATEMENT_LANGUAGES) {
+    const tex = read(`statements/${language}/problem.tex`);
+    if (tex && tex.trim()) return tex.trim();
+  }
+  return undefined;
+}
+
+function readSolutions(solutions, read) {
+  return solutions
+    .filter((solution) => SOLUTION_VERDICTS[solution.tag])
+    .map((solution) => ({ sourcePath: solution.source?.[0]?.path, tag: solution.tag }))
+    .filter(({ sourcePath }) => sourcePath && languageOf(sourcePath) && read(sourcePath) !== undefined)
+    .map(({ sourcePath, tag }) => ({
+      name: path.basename(sourcePath, path.extname(sourcePath)),
+      language: languageOf(sourcePath),
+      code: read(sourcePath),
+      expectedVerdict: SOLUTION_VERDICTS[tag]
+    }));
+}
+
+// Polygon validators are testlib programs reading the test on stdin
+function readValidator(validator, read) {
+  const sourcePath = validator?.source?.[0]?.path;
+  const source = sourcePath && read(sourcePath);
+  if (!source || !languageOf(sourcePath)) return undefined;
+
+  const dir = sourcePath.includes('/') ? sourcePath.slice(0, sourcePath.lastIndexOf('/') + 1) : '';
+  return {
+    language: languageOf(sourcePath),
+    code: inlineIncludes(source, (name) => read(dir + name) ?? read(name)),
+    interface: 'testlib'
+  };
+}
+
+function readChecker(checker, read, errors) {
+  if (!checker) return { type: 'exact' };
+
+  const standard = STANDARD_CHECKERS[checker.name];
+  if (standard) return { ...standard };
+
+  const sourcePath = checker.source?.[0]?.path;
+  const source = sourcePath && read(sourcePath);
+  if (!source) {
+    errors.push(sourcePath ? `checker source ${sourcePath} is missing from the package` : 'checker has no source in problem.xml');
+    return undefined;
+  }
+
+  const language = languageOf(sourcePath);
+  if (!language) {
+    errors.push(`checker source ${sourcePath} is not in a supported language`);
+    return undefined;
+  }
+
+  // testlib.h usually sits next to the checker in files/
+  const dir = sourcePath.includes('/') ? sourcePath.slice(0, sourcePath.lastIndexOf('/') + 1) : '';
+  return {
+    type: 'custom',
+    interface: 'testlib',
+    language,
+    code: inlineIncludes(source, (name) => read(dir + name) ?? read(name))
+  };
+}
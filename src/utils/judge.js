@@ -0,0 +1,161 @@
+// Grades a stored submission and folds the verdict into the contest standings
+import ContestResult from '../models/ContestResult.js';
+import Problem from '../models/Problem.js';
+import Contest from '../models/Contest.js';
+import { CodeRunner, CompilationError } from './codeRunner.js';
+import { emitSubmissionJudged, scheduleLeaderboardUpdate } from './realtime.js';
+import { invalidateFrozenStandings, showsOnFrozenStandings } from './leaderboard.js';
+import { VERDICTS, overallVerdict } from './verdicts.js';
+import { createContestResult, recomputeContestResult } from './scoring.js';
+import { reportRejudgeProgress, settleRejudge } from './rejudge.js';
+
+const codeRunner = new CodeRunner();
+
+export async function judgeSubmission(submission) {
+  const problem = await Problem.findById(submission.problemId);
+  if (!problem) {
+    throw new Error('Problem not found');
+  }
+
+  // Score is calculated as the sum of points for each passed test case (from DB)
+  const perTestPoints = Array.isArray(problem.testCases)
+    ? problem.testCases.map(tc => Number(tc.points) || 0)
+    : [];
+  const maxScore = perTestPoints.reduce((s, p) => s + p, 0);
+  submission.maxScore = maxScore;
+  // Left over from an earlier verdict when this is a rejudge
+  submission.error = undefined;
+  submission.compileOutput = undefined;
+
+  try {
+    const combinedCode = combineWithHarness(submission.code, submission.language, problem);
+    const testResults = await codeRunner.runCode(combinedCode, submission.language, problem.testCases, {
+      timeLimit: problem.timeLimit,
+      memoryLimit: problem.memoryLimit,
+      checker: problem.checker
+    });
+
+    const score = testResults.reduce((sum, r, idx) => {
+      const pts = perTestPoints[idx] || 0;
+      return sum + (r.passed ? pts : 0);
+    }, 0);
+
+    submission.testResults = testResults.map((r, idx) => ({
+      testCaseId: problem.testCases[idx]._id,
+      passed: r.passed,
+      status: r.status,
+      exitCode: r.exitCode,
+      signal: r.signal,
+      executionTime: r.executionTime,
+      wallTime: r.wallTime,
+      memoryUsed: r.memoryUsed,
+      output: r.output,
+      error: r.error,
+      checkerMessage: r.checkerMessage
+    }));
+    submission.score = score;
+    const { status, failedTest } = overallVerdict(testResults);
+    submission.status = status;
+    submission.failedTest = failedTest;
+  } catch (executionError) {
+    submission.testResults = [];
+    submission.score = 0;
+    // Anything other than a compile failure is a judge fault (bad checker,
+    // missing toolchain); let the queue record it as an internal error
+    if (!(executionError instanceof CompilationError)) throw executionError;
+    submission.status = VERDICTS.CE;
+    submission.failedTest = null;
+    submission.compileOutput = executionError.compileOutput;
+  }
+
+  submission.evaluatedAt = new Date();
+  submission.calculateTotals();
+  const rejudge = settleRejudge(submission);
+  await submission.save();
+
+  // An admin rejudge corrects locked results too
+  await updateContestResult(submission.userId, submission.contestId, { includeLocked: Boolean(rejudge), submission });
+
+  emitSubmissionJudged(submission);
+  if (rejudge) await reportRejudgeProgress(submission, rejudge);
+  return submission;
+}
+
+// Rebuild the user's contest result after one of their submissions is judged
+export async function updateContestResult(userId, contestId, { includeLocked = false, submission } = {}) {
+  try {
+    const contest = await Contest.findById(contestId);
+    if (!contest) return;
+
+    let contestResult = await ContestResult.findOne({ userId, contestId });
+    if (!contestResult) {
+      // Create new contest result if it doesn't exist
+      contestResult = await createContestResult(userId, contest);
+    }
+
+    // Final results are locked
+    if (contestResult.isCompleted && !includeLocked) return;
+
+    const before = {
+      totalScore: contestResult.totalScore,
+      totalTime: contestResult.totalTime,
+      penalties: contestResult.penalties
+    };
+
+    // Replay rather than patch: ICPC penalties depend on attempt order
+    await recomputeContestResult(contestResult, contest);
+    await contestResult.save();
+    if (submission && showsOnFrozenStandings(contest, submission)) {
+      invalidateFrozenStandings(contestId);
+    }
+
+    if (Object.keys(before).some(field => contestResult[field] !== before[field])) {
+      scheduleLeaderboardUpdate(contestId);
+    }
+  } catch (error) {
+    console.error('Update contest result error:', error);
+  }
+}
+
+export function combineWithHarness(userCode, language, problem) {
+  let harness = '';
+  const raw = problem?.harshnessCode ?? problem?.harnessCode ?? '';
+
+  // Handle both harshnessCode and harnessCode fields
+  if (typeof raw === 'object' && raw !== null) {
+    harness = String(raw[language] || '').trim();
+  } else {
+    harness = String(raw || '').trim();
+  }
+
+  // If no harness code, return user code as is
+  if (!harness) return userCode;
+
+  // Combine user code with harness code
+  if (language === 'javascript') {
+    return `${userCode}
+// --- HARNESS START ---
+${harness}
+// --- HARNESS END ---`;
+  }
+  if (language === 'python') {
+    return `${userCode}
+# --- HARNESS START ---
+${harness}
+# --- HARNESS END ---`;
+  }
+  if (language === 'cpp') {
+    return `${userCode}
+// --- HARNESS START ---
+${harness}
+// --- HARNESS END ---`;
+  }
+  if (language === 'java') {
+    return `${userCode}
+// --- HARNESS START ---
+${harness}
+// --- HARNESS END ---`;
+  }
+
+  return userCode;
+}
@@ -0,0 +1,212 @@
+// In-process judge queue. Pending submissions in Mongo are the queue itself,
+// so anything accepted before a restart is picked up again on boot. Queued
+// rejudges are only claimed when no live submission is waiting. Ungraded runs
+// (custom runs, reference solutions, test generators and validators) share
+// the same JUDGE_CONCURRENCY slots, so the host never runs more sandboxed
+// programs at once than that.
+import Submission from '../models/Submission.js';
+import { judgeSubmission, updateContestResult } from './judge.js';
+import { reportRejudgeProgress, settleRejudge } from './rejudge.js';
+import { emitSubmissionJudged, emitToAdmins } from './realtime.js';
+import { assertSandboxReady } from './sandbox.js';
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const DEFAULT_WAITING_RUNS_PER_SLOT = 10;
+
+// Raised instead of queueing an ungraded run behind too many others
+export class JudgeBusyError extends Error {
+  constructor() {
+    super('The judge is busy, please retry shortly');
+    this.name = 'JudgeBusyError';
+  }
+}
+
+// Counting semaphore; waiters are served in arrival order
+class Semaphore {
+  constructor(size) {
+    this.size = size;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  isFull() {
+    return this.active >= this.size;
+  }
+
+  async acquire() {
+    if (this.active < this.size) {
+      this.active += 1;
+    } else {
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+    return () => this.release();
+  }
+
+  // The slot passes straight to the next waiter, if any
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active -= 1;
+    }
+  }
+}
+
+export class JudgeQueue {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency
+      || parseInt(process.env.JUDGE_CONCURRENCY)
+      || DEFAULT_CONCURRENCY;
+    this.pollInterval = options.pollInterval
+      || parseInt(process.env.JUDGE_POLL_INTERVAL_MS)
+      || DEFAULT_POLL_INTERVAL_MS;
+    this.maxWaitingRuns = options.maxWaitingRuns
+      || parseInt(process.env.RUN_QUEUE_LIMIT)
+      || this.concurrency * DEFAULT_WAITING_RUNS_PER_SLOT;
+    this.slots = new Semaphore(this.concurrency);
+    this.waitingRuns = 0;
+    this.activeWorkers = 0;
+    this.started = false;
+    this.timer = null;
+  }
+
+  async start() {
+    if (this.started) return;
+    // Throws SandboxUnavailableError rather than judge on an unisolated host
+    assertSandboxReady();
+    this.started = true;
+
+    // Anything left "running" was interrupted by a restart; judge it again
+    const [submissions, rejudges] = await Promise.all([
+      Submission.updateMany({ status: 'running' }, { $set: { status: 'pending' } }),
+      Submission.updateMany({ 'rejudge.state': 'running' }, { $set: { 'rejudge.state': 'queued' } })
+    ]);
+    const requeued = submissions.modifiedCount + rejudges.modifiedCount;
+    if (requeued > 0) {
+      console.log(`Judge queue requeued ${requeued} interrupted submission(s)`);
+    }
+
+    this.timer = setInterval(() => this.drain(), this.pollInterval);
+    this.drain();
+  }
+
+  stop() {
+    this.started = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Called after a submission is stored as pending
+  enqueue() {
+    this.drain();
+  }
+
+  drain() {
+    if (!this.started) return;
+    while (this.activeWorkers < this.concurrency) {
+      this.activeWorkers += 1;
+      this.work()
+        .catch((error) => console.error('Judge worker error:', error))
+        .finally(() => {
+          this.activeWorkers -= 1;
+        });
+    }
+  }
+
+  // Each submission is judged in a slot of its own, so ungraded runs waiting
+  // for one get their turn between submissions
+  async work() {
+    while (this.started) {
+      const release = await this.slots.acquire();
+      try {
+        const submission = this.started ? await this.claimNext() : null;
+        if (!submission) return;
+        await this.process(submission);
+      } finally {
+        release();
+      }
+    }
+  }
+
+  /**
+   * Run an ungraded program (task) in one of the judge's slots once one is
+   * free. Throws JudgeBusyError instead of waiting behind maxWaitingRuns
+   * other runs.
+   */
+  async runExclusive(task) {
+    const waits = this.slots.isFull();
+    if (waits && this.waitingRuns >= this.maxWaitingRuns) throw new JudgeBusyError();
+
+    if (waits) this.waitingRuns += 1;
+    let release;
+    try {
+      release = await this.slots.acquire();
+    } finally {
+      if (waits) this.waitingRuns -= 1;
+    }
+
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  }
+
+  // Atomically move the oldest pending submission to running or, with none
+  // waiting, claim the oldest queued rejudge. A rejudged submission keeps
+  // its status until judgeSubmission writes the new verdict.
+  async claimNext() {
+    const submission = await Submission.findOneAndUpdate(
+      { status: 'pending' },
+      { $set: { status: 'running' } },
+      { sort: { submittedAt: 1 }, new: true }
+    );
+    if (submission) return submission;
+
+    return Submission.findOneAndUpdate(
+      { 'rejudge.state': 'queued' },
+      { $set: { 'rejudge.state': 'running' } },
+      { sort: { 'rejudge.requestedAt': 1 }, new: true }
+    );
+  }
+
+  async process(submission) {
+    try {
+      await judgeSubmission(submission);
+    } catch (error) {
+      console.error(`Judge error for submission ${submission._id}:`, error);
+      submission.status = 'internal_error';
+      submission.error = error.message;
+      submission.evaluatedAt = new Date();
+      submission.score = 0;
+      const rejudge = settleRejudge(submission);
+      const update = {
+        $set: { status: submission.status, error: submission.error, score: 0, evaluatedAt: submission.evaluatedAt }
+      };
+      if (rejudge) {
+        update.$set.rejudgeHistory = submission.rejudgeHistory;
+        update.$unset = { rejudge: 1 };
+      }
+      await Submission.updateOne({ _id: submission._id }, update);
+      emitSubmissionJudged(submission);
+      if (rejudge) {
+        // The replaced verdict no longer counts
+        await updateContestResult(submission.userId, submission.contestId, { includeLocked: true, submission });
+        await reportRejudgeProgress(submission, rejudge);
+      }
+      emitToAdmins('moderation:judge-error', {
+        submissionId: submission._id,
+        contestId: submission.contestId,
+        userId: submission.userId,
+        error: submission.error,
+        at: submission.evaluatedAt.toISOString()
+      });
+    }
+  }
+}
+
+export const judgeQueue = new JudgeQueue();
@@ -0,0 +1,223 @@
+// Contest standings shared by the leaderboard endpoint and realtime pushes.
+// Live standings are read a page at a time off the standings indexes; frozen
+// standings are replayed from submissions, so they are cached per contest
+// until a verdict the frozen scoreboard shows, a resolver step, a join or a
+// contest edit changes them.
+import Contest from '../models/Contest.js';
+import ContestResult from '../models/ContestResult.js';
+import Submission from '../models/Submission.js';
+import { PUBLIC_USER_FIELDS } from './projections.js';
+import { JUDGED_STATUSES, compareStandings, rebuildProblemResults, standingsSort } from './scoring.js';
+
+// New attempts after the freeze only add to the pending counts, and show up
+// once the cached standings expire
+const FROZEN_CACHE_TTL_MS = 10000;
+
+const frozenCache = new Map(); // contestId -> { standings: Promise, expiresAt }
+
+const cellKey = (userId, problemId) => `${userId}:${problemId}`;
+export const rowUserId = (row) => String(row.userId?._id || row.userId);
+
+// Index order with _id as the tie-break, so pages never overlap
+const pageSort = (contest) => ({ ...standingsSort(contest), _id: 1 });
+
+// Filter for the contest's results that rank strictly ahead of `row`
+function aheadOf(contest, row) {
+  const fields = Object.entries(standingsSort(contest));
+  return {
+    contestId: contest._id,
+    $or: fields.map(([field, direction], index) => ({
+      ...Object.fromEntries(fields.slice(0, index).map(([tied]) => [tied, row[tied]])),
+      [field]: { [direction < 0 ? '$gt' : '$lt']: row[field] }
+    }))
+  };
+}
+
+// Filter for the results that tie with `row` and sort before it
+const tiedBefore = (contest, row) => ({
+  contestId: contest._id,
+  ...Object.fromEntries(Object.keys(standingsSort(contest)).map(field => [field, row[field]])),
+  _id: { $lt: row._id }
+});
+
+// Competition ranking: rows that tie on every sort field share a rank and
+// the next distinct row skips ahead (1, 2, 2, 4)
+function assignRanks(rows, compare) {
+  return rows.map((row, index) => {
+    const rank = index > 0 && compare(rows[index - 1], row) === 0
+      ? rows[index - 1].rank
+      : index + 1;
+    return Object.assign(row, { rank });
+  });
+}
+
+// `limit` live rows from position `skip` on, ranked as in the full standings.
+// Only the first row needs a count: it may tie with rows on earlier pages.
+async function readLiveRows(contest, { skip = 0, limit, userFields }) {
+  let query = ContestResult.find({ contestId: contest._id })
+    .populate('userId', userFields)
+    .sort(pageSort(contest))
+    .skip(skip);
+  if (limit) query = query.limit(limit);
+  const rows = (await query).map(result => result.toObject());
+  if (rows.length === 0) return rows;
+
+  const compare = compareStandings(contest);
+  const firstRank = skip > 0 ? await ContestResult.countDocuments(aheadOf(contest, rows[0])) + 1 : 1;
+  return rows.map((row, index) => {
+    const rank = index === 0 ? firstRank
+      : compare(rows[index - 1], row) === 0 ? rows[index - 1].rank
+      : skip + index + 1;
+    return Object.assign(row, { rank });
+  });
+}
+
+// Frozen public standings, built once per contest until invalidated
+function cachedFrozenStandings(contest) {
+  const key = String(contest._id);
+  const cached = frozenCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.standings;
+
+  const entry = { standings: buildFrozenStandings(contest), expiresAt: Date.now() + FROZEN_CACHE_TTL_MS };
+  frozenCache.set(key, entry);
+  entry.standings.catch(() => {
+    if (frozenCache.get(key) === entry) frozenCache.delete(key);
+  });
+  return entry.standings;
+}
+
+// Drop a contest's cached frozen standings after anything that changes them
+export function invalidateFrozenStandings(contestId) {
+  frozenCache.delete(String(contestId));
+}
+
+/**
+ * Whether a verdict for this submission shows on the frozen scoreboard: it was
+ * made before the freeze, or the resolver has revealed its cell. Verdicts for
+ * other submissions leave the frozen standings as they are.
+ */
+export function showsOnFrozenStandings(contest, submission) {
+  const freezeAt = contest.freezeStartsAt();
+  if (!freezeAt) return false;
+  const cell = cellKey(submission.userId, submission.problemId);
+  return submission.submittedAt < freezeAt
+    || contest.resolver.revealed.some(revealed => cellKey(revealed.userId, revealed.problemId) === cell);
+}
+
+const usesFrozenView = (contest, view) => view === 'public' && contest.isScoreboardFrozen();
+
+/**
+ * One page of ranked standings and the number of rows in total.
+ */
+export async function getStandingsPage(contest, { view = 'public', skip = 0, limit }) {
+  if (usesFrozenView(contest, view)) {
+    const standings = await cachedFrozenStandings(contest);
+    return { rows: standings.slice(skip, skip + limit), total: standings.length };
+  }
+
+  const userFields = view === 'admin' ? 'name email' : PUBLIC_USER_FIELDS;
+  const [rows, total] = await Promise.all([
+    readLiveRows(contest, { skip, limit, userFields }),
+    ContestResult.countDocuments({ contestId: contest._id })
+  ]);
+  return { rows, total };
+}
+
+/**
+ * A user's row with up to `around` rows either side, as the public sees the
+ * standings. Returns null when the user has not joined.
+ */
+export async function getStandingsAround(contest, userId, { around = 2 } = {}) {
+  if (usesFrozenView(contest, 'public')) {
+    const standings = await cachedFrozenStandings(contest);
+    const index = standings.findIndex(row => rowUserId(row) === String(userId));
+    if (index === -1) return null;
+    return {
+      entry: standings[index],
+      neighbours: standings.slice(Math.max(0, index - around), index + around + 1),
+      total: standings.length
+    };
+  }
+
+  const own = await ContestResult.findOne({ contestId: contest._id, userId });
+  if (!own) return null;
+
+  const [ahead, tied, total] = await Promise.all([
+    ContestResult.countDocuments(aheadOf(contest, own)),
+    ContestResult.countDocuments(tiedBefore(contest, own)),
+    ContestResult.countDocuments({ contestId: contest._id })
+  ]);
+  const position = ahead + tied;
+  const skip = Math.max(0, position - around);
+  const neighbours = await readLiveRows(contest, {
+    skip,
+    limit: position - skip + around + 1,
+    userFields: PUBLIC_USER_FIELDS
+  });
+  // Standings may move between the counts and the read
+  const entry = neighbours.find(row => rowUserId(row) === String(userId))
+    || { ...own.toObject(), rank: ahead + 1 };
+  return { entry, neighbours, total };
+}
+
+// Full ranked standings. Public viewers get the frozen scoreboard while it
+// applies and only public user fields; admins see the true standings.
+export async function buildStandings(contestId, { limit, view = 'public' } = {}) {
+  const contest = await Contest.findById(contestId);
+  if (!contest) return [];
+
+  if (usesFrozenView(contest, view)) {
+    const standings = await cachedFrozenStandings(contest);
+    return limit ? standings.slice(0, limit) : standings;
+  }
+
+  const userFields = view === 'admin' ? 'name email' : PUBLIC_USER_FIELDS;
+  return readLiveRows(contest, { limit, userFields });
+}
+
+/**
+ * Standings as the public sees them during a freeze: every result is replayed
+ * from submissions made before the freeze plus the cells the resolver has
+ * revealed. Anything else is reported per problem as `pendingAttempts`.
+ */
+export async function buildFrozenStandings(contest, { userFields = PUBLIC_USER_FIELDS } = {}) {
+  const freezeAt = contest.freezeStartsAt();
+  const revealed = new Set(contest.resolver.revealed.map(cell => cellKey(cell.userId, cell.problemId)));
+
+  const [results, submissions] = await Promise.all([
+    ContestResult.find({ contestId: contest._id }).populate('userId', userFields),
+    Submission.find({ contestId: contest._id })
+      .select('userId problemId status score totalExecutionTime submittedAt')
+      .sort({ submittedAt: 1 })
+  ]);
+
+  const visible = new Map(); // userId -> submissions the public may see
+  const pending = new Map(); // cell -> hidden attempts
+  for (const submission of submissions) {
+    const userId = String(submission.userId);
+    const cell = cellKey(userId, submission.problemId);
+    if (submission.submittedAt >= freezeAt && !revealed.has(cell)) {
+      pending.set(cell, (pending.get(cell) || 0) + 1);
+    } else if (JUDGED_STATUSES.includes(submission.status)) {
+      if (!visible.has(userId)) visible.set(userId, []);
+      visible.get(userId).push(submission);
+    }
+  }
+
+  const rows = results.map((result) => {
+    const userId = rowUserId(result);
+    // Replayed in memory only; the stored result keeps the true totals
+    rebuildProblemResults(result, visible.get(userId) || [], contest);
+
+    const row = result.toObject();
+    row.problemResults = row.problemResults.map((problemResult) => ({
+      ...problemResult,
+      pendingAttempts: pending.get(cellKey(userId, problemResult.problemId)) || 0
+    }));
+    row.pendingAttempts = row.problemResults.reduce((sum, p) => sum + p.pendingAttempts, 0);
+    return row;
+  });
+
+  const compare = compareStandings(contest);
+  return assignRanks(rows.sort(compare), compare);
+}
@@ -0,0 +1,273 @@
+/**
+ * Problem packages: a zip archive that holds one problem, so setters can work
+ * offline and move problems between databases.
+ *
+ *   problem.json            metadata (see below)
+ *   statement.md            problem description, in markdown
+ *   tests/NN.in, NN.out     test data; tests run in name order
+ *   generator/<file>.<ext>  generator for tests listed with "generator" arguments
+ *   validator/<file>.<ext>  input validator, run over every test input
+ *   templates/<lang>.<ext>  starter code shown to contestants
+ *   harness/<lang>.<ext>    code appended to submissions in that language
+ *   harness/any.txt         harness shared by every language (instead of the above)
+ *   checker/checker.<ext>   custom checker source, when checker.type is "custom"
+ *   solutions/<name>.<ext>  reference solutions, judged before the problem goes live
+ *
+ * <lang>.<ext> is one of python.py, javascript.js, cpp.cpp, java.java. The
+ * archive may also wrap everything in a single top-level directory. Polygon
+ * (problem.xml) and Kattis (problem.yaml) packages are imported as well; see
+ * importers/.
+ *
+ * problem.json:
+ *   {
+ *     "id": "...",                  optional; import updates this problem if it exists
+ *     "title": "...", "difficulty": "Easy" | "Medium" | "Hard",
+ *     "tags": [], "constraints": [], "hints": [],
+ *     "examples": [{ "input", "output", "explanation" }],
+ *     "timeLimit": 1000, "memoryLimit": 256, "points": 100, "isActive": true,
+ *     "checker": { "type", "absoluteError", "relativeError", "caseInsensitive", "language" },
+ *     "tests": { "01": { "isHidden": false, "points": 1 }, "02": { "generator": { "args": [], "seed": 7 } }, ... },
+ *     "inputValidator": { "interface": "testlib" | "kattis" },
+ *     "solutions": { "slow.py": { "expectedVerdict": "time_limit_exceeded" }, ... }
+ *   }
+ *
+ * Tests missing from "tests" are hidden and worth 1 point. Generated tests
+ * have no tests/ files; they are regenerated on import. Solutions missing
+ * from "solutions" are expected to be accepted.
+ */
+import path from 'path';
+import AdmZip from 'adm-zip';
+import mongoose from 'mongoose';
+import Problem from '../models/Problem.js';
+import { validateProblemFields } from '../validators/problemValidators.js';
+import { EXTENSIONS, PackageError, languageOf, openArchive } from './importers/archive.js';
+import { readKattisPackage } from './importers/kattis.js';
+import { readPolygonPackage } from './importers/polygon.js';
+import { checkReferenceSolutions } from './referenceSolutions.js';
+import { buildTestData } from './testGeneration.js';
+import { readTestText } from './testStorage.js';
+
+export { PackageError };
+
+const METADATA_FIELDS = [
+  'title', 'difficulty', 'tags', 'constraints', 'hints', 'examples',
+  'timeLimit', 'memoryLimit', 'points', 'isActive'
+];
+
+/**
+ * Parse a package into Problem fields plus the optional target id. Polygon
+ * and Kattis packages are recognised by their problem.xml / problem.yaml and
+ * converted by their importers. Field values are validated separately, like
+ * any other problem payload.
+ */
+export function readProblemPackage(buffer) {
+  const archive = openArchive(buffer);
+  if (archive.format === 'polygon') return readPolygonPackage(archive);
+  if (archive.format === 'kattis') return readKattisPackage(archive);
+  return readNativePackage(archive);
+}
+
+function readNativePackage({ read, list }) {
+  const errors = [];
+  let meta = {};
+  try {
+    meta = JSON.parse(read('problem.json'));
+  } catch (error) {
+    errors.push(read('problem.json') === undefined ? 'problem.json is missing' : `problem.json: ${error.message}`);
+  }
+
+  const fields = {};
+  for (const field of METADATA_FIELDS) {
+    if (meta[field] !== undefined) fields[field] = meta[field];
+  }
+
+  const statement = read('statement.md');
+  if (statement === undefined) errors.push('statement.md is missing');
+  else fields.description = statement;
+
+  // Tests, stored and generated
+  const testMeta = meta.tests || {};
+  const testIds = [...new Set([
+    ...list('tests/').filter((name) => name.endsWith('.in')).map((name) => name.slice(0, -'.in'.length)),
+    ...Object.keys(testMeta).filter((id) => testMeta[id]?.generator)
+  ])].sort();
+  fields.testCases = testIds.map((id) => {
+    const { isHidden = true, points = 1, generator } = testMeta[id] || {};
+    if (generator) return { isHidden, points, generator };
+
+    const expectedOutput = read(`tests/${id}.out`);
+    if (expectedOutput === undefined) errors.push(`tests/${id}.out is missing`);
+    return { input: read(`tests/${id}.in`), expectedOutput: expectedOutput ?? '', isHidden, points };
+  });
+
+  // Templates and harnesses
+  fields.codeTemplates = readLanguageFiles(list('templates/'), (name) => read(`templates/${name}`), 'templates', errors);
+  const sharedHarness = read('harness/any.txt');
+  const harnesses = list('harness/').filter((name) => name !== 'any.txt');
+  fields.harshnessCode = sharedHarness
+    ?? (harnesses.length > 0 ? readLanguageFiles(harnesses, (name) => read(`harness/${name}`), 'harness', errors) : '');
+
+  // Checker
+  fields.checker = { type: 'exact' };
+  if (meta.checker) {
+    fields.checker = { ...meta.checker };
+    if (fields.checker.type === 'custom') {
+      const [source] = list('checker/');
+      if (!source) {
+        errors.push('checker/ must contain the custom checker source');
+      } else {
+        fields.checker.language ??= languageOf(source);
+        fields.checker.code = read(`checker/${source}`);
+      }
+    }
+  }
+
+  // Generator and input validator
+  const readTool = (dir) => {
+    const [source] = list(`${dir}/`);
+    if (!source) return undefined;
+    const language = languageOf(source);
+    if (!language) errors.push(`${dir}/${source} is not in a supported language`);
+    return { language, code: read(`${dir}/${source}`) };
+  };
+  const generator = readTool('generator');
+  if (generator) fields.generator = generator;
+  const inputValidator = readTool('validator');
+  if (inputValidator) fields.inputValidator = { ...inputValidator, interface: meta.inputValidator?.interface ?? 'testlib' };
+
+  // Reference solutions
+  fields.referenceSolutions = list('solutions/').map((name) => {
+    const language = languageOf(name);
+    if (!language) errors.push(`solutions/${name} is not in a supported language`);
+    return {
+      name: path.basename(name, path.extname(name)),
+      language,
+      code: read(`solutions/${name}`),
+      expectedVerdict: meta.solutions?.[name]?.expectedVerdict ?? 'accepted'
+    };
+  });
+
+  if (errors.length > 0) throw new PackageError(errors);
+  return { id: meta.id, fields };
+}
+
+/**
+ * Validate a package and create the problem, or replace the one named by its
+ * id. Throws PackageError when the archive or its contents are invalid,
+ * TestDataError when tests cannot be generated or an active problem's inputs
+ * fail validation, and ReferenceSolutionError when its reference solutions do
+ * not get their expected verdicts.
+ */
+export async function importProblemPackage(buffer, { createdBy } = {}) {
+  const { id, fields } = readProblemPackage(buffer);
+
+  const { errors, data } = await validateProblemFields(fields);
+  if (errors.length > 0) {
+    throw new PackageError(errors.map(err => `${err.field}: ${err.message}`));
+  }
+
+  const existing = id && mongoose.isValidObjectId(id) ? await Problem.findById(id) : null;
+  const problem = existing || new Problem({ createdBy });
+  problem.set(data);
+  await buildTestData(problem);
+  await checkReferenceSolutions(problem);
+  await problem.save();
+  return { problem, created: !existing };
+}
+
+// Build a package from a Problem document; stored test data is read back in
+export async function writeProblemPackage(problem) {
+  const obj = problem.toObject ? problem.toObject() : problem;
+  const zip = new AdmZip();
+  const add = (name, content) => zip.addFile(name, Buffer.from(String(content ?? ''), 'utf8'));
+
+  const testCases = obj.testCases || [];
+  const width = Math.max(2, String(testCases.length).length);
+  const testName = (index) => String(index + 1).padStart(width, '0');
+
+  const meta = { id: String(obj._id) };
+  for (const field of METADATA_FIELDS) {
+    if (obj[field] !== undefined) meta[field] = obj[field];
+  }
+  meta.examples = (obj.examples || []).map(({ input, output, explanation }) => ({ input, output, explanation }));
+  if (obj.checker) {
+    const { code, ...checker } = obj.checker;
+    meta.checker = checker;
+  }
+  meta.tests = Object.fromEntries(testCases.map((tc, index) => [
+    testName(index),
+    {
+      isHidden: tc.isHidden,
+      points: tc.points,
+      ...(tc.generator && { generator: { args: tc.generator.args, seed: tc.generator.seed } })
+    }
+  ]));
+  if (obj.inputValidator) meta.inputValidator = { interface: obj.inputValidator.interface };
+
+  // Solution files are named after the solution, made unique if needed
+  const solutionFiles = new Set();
+  const solutions = (obj.referenceSolutions || []).map((solution) => {
+    const stem = String(solution.name || 'solution').replace(/[^\w.-]+/g, '_');
+    let file = `${stem}.${EXTENSIONS[solution.language]}`;
+    for (let n = 2; solutionFiles.has(file); n++) file = `${stem}-${n}.${EXTENSIONS[solution.language]}`;
+    solutionFiles.add(file);
+    return { file, solution };
+  });
+  if (solutions.length > 0) {
+    meta.solutions = Object.fromEntries(solutions.map(({ file, solution }) => [
+      file,
+      { expectedVerdict: solution.expectedVerdict }
+    ]));
+  }
+
+  add('problem.json', `${JSON.stringify(meta, null, 2)}\n`);
+  add('statement.md', obj.description);
+
+  // Generated tests are reproduced on import rather than shipped
+  for (const [index, tc] of testCases.entries()) {
+    if (tc.generator) continue;
+    add(`tests/${testName(index)}.in`, await readTestText(tc, 'input'));
+    add(`tests/${testName(index)}.out`, await readTestText(tc, 'expectedOutput'));
+  }
+
+  for (const [language, code] of Object.entries(obj.codeTemplates || {})) {
+    if (EXTENSIONS[language]) add(`templates/${language}.${EXTENSIONS[language]}`, code);
+  }
+
+  const harness = obj.harshnessCode ?? obj.harnessCode;
+  if (typeof harness === 'string' && harness !== '') {
+    add('harness/any.txt', harness);
+  } else if (harness && typeof harness === 'object') {
+    for (const [language, code] of Object.entries(harness)) {
+      if (EXTENSIONS[language]) add(`harness/${language}.${EXTENSIONS[language]}`, code);
+    }
+  }
+
+  if (obj.checker?.type === 'custom' && obj.checker.code) {
+    add(`checker/checker.${EXTENSIONS[obj.checker.language]}`, obj.checker.code);
+  }
+
+  if (obj.generator?.code) add(`generator/generator.${EXTENSIONS[obj.generator.language]}`, obj.generator.code);
+  if (obj.inputValidator?.code) {
+    add(`validator/validator.${EXTENSIONS[obj.inputValidator.language]}`, obj.inputValidator.code);
+  }
+
+  for (const { file, solution } of solutions) {
+    add(`solutions/${file}`, solution.code);
+  }
+
+  return zip.toBuffer();
+}
+
+function readLanguageFiles(names, read, dir, errors) {
+  const byLanguage = {};
+  for (const name of names) {
+    const language = languageOf(name);
+    if (!language || path.basename(name, path.extname(name)) !== language) {
+      errors.push(`${dir}/${name}: expected one of ${Object.entries(EXTENSIONS).map(([l, e]) => `${l}.${e}`).join(', ')}`);
+      continue;
+    }
+    byLanguage[language] = read(name);
+  }
+  return byLanguage;
+}
@@ -0,0 +1,86 @@
+// Response projections. Hidden test cases, harness code, custom checker
+// sources, reference solutions, generators and validators and participants'
+// private details never leave the server through public endpoints; admins opt
+// into the full documents with an explicit ?view=admin.
+
+export const wantsAdminView = (req) => req.query.view === 'admin';
+
+// Resolve the requested view, or null when ?view=admin comes from a non-admin
+export const resolveView = (req) => {
+  if (!wantsAdminView(req)) return 'public';
+  return req.user?.role === 'admin' ? 'admin' : null;
+};
+
+export const PUBLIC_LIST_FIELDS = 'title difficulty tags points timeLimit memoryLimit createdAt';
+
+export function toPublicProblem(problem) {
+  if (!problem) return problem;
+  const obj = problem.toObject ? problem.toObject() : { ...problem };
+
+  obj.testCases = (Array.isArray(obj.testCases) ? obj.testCases : [])
+    .filter((tc) => !tc.isHidden);
+  delete obj.harshnessCode;
+  delete obj.harnessCode;
+  delete obj.referenceSolutions;
+  delete obj.generator;
+  delete obj.inputValidator;
+
+  if (obj.checker) {
+    const { code, language, ...visible } = obj.checker;
+    obj.checker = visible;
+  }
+
+  return obj;
+}
+
+// What a contestant may see of a hidden test's result: the verdict and the
+// resources used, nothing that reveals the test's data
+const HIDDEN_TEST_RESULT_FIELDS = ['_id', 'testCaseId', 'passed', 'status', 'executionTime', 'wallTime', 'memoryUsed'];
+
+// A submission as its owner sees it. Only results of tests known to be
+// visible keep their output, error and checker message; a test that has since
+// been removed from the problem counts as hidden.
+export function toOwnSubmission(submission, visibleTestIds) {
+  const obj = submission.toObject ? submission.toObject() : { ...submission };
+
+  obj.testResults = (obj.testResults || []).map((result) => (visibleTestIds.has(String(result.testCaseId))
+    ? result
+    : Object.fromEntries(
+      HIDDEN_TEST_RESULT_FIELDS
+        .filter((field) => result[field] !== undefined)
+        .map((field) => [field, result[field]])
+    )));
+
+  return obj;
+}
+
+// User fields that may appear next to someone else's result
+export const PUBLIC_USER_FIELDS = 'name';
+
+const PUBLIC_PROBLEM_RESULT_FIELDS = [
+  'problemId', 'score', 'maxScore', 'status', 'submissionCount', 'rejectedAttempts',
+  'penalty', 'timeSpent', 'firstAcceptedAt', 'pendingAttempts'
+];
+
+// Leaderboard row without discrepancy records or other internal bookkeeping
+export function toPublicStanding(row) {
+  const user = row.userId && typeof row.userId === 'object' && row.userId._id
+    ? { _id: row.userId._id, name: row.userId.name }
+    : row.userId;
+
+  return {
+    rank: row.rank,
+    userId: user,
+    totalScore: row.totalScore,
+    solvedCount: row.solvedCount,
+    penalties: row.penalties,
+    totalTime: row.totalTime,
+    pendingAttempts: row.pendingAttempts ?? 0,
+    isCompleted: row.isCompleted,
+    problemResults: (row.problemResults || []).map((result) => Object.fromEntries(
+      PUBLIC_PROBLEM_RESULT_FIELDS
+        .filter((field) => result[field] !== undefined)
+        .map((field) => [field, result[field]])
+    ))
+  };
+}
@@ -0,0 +1,169 @@
+// Socket.IO wiring and server-originated events. Clients only listen; every
+// verdict and leaderboard event is emitted from here.
+import mongoose from 'mongoose';
+import ContestResult from '../models/ContestResult.js';
+import { authenticateSocket } from '../middleware/auth.js';
+import { buildStandings } from './leaderboard.js';
+import { verdictCode } from './verdicts.js';
+
+const LEADERBOARD_PUSH_INTERVAL_MS = parseInt(process.env.LEADERBOARD_PUSH_INTERVAL_MS) || 2000;
+const LEADERBOARD_PUSH_LIMIT = 100; // rows tracked for realtime diffs
+
+let io = null;
+const pendingLeaderboardPushes = new Map(); // contestId -> timer
+const lastStandings = new Map(); // contestId -> Map(userId -> entry)
+
+export const contestRoom = (contestId) => `contest-${contestId}`;
+export const userRoom = (userId) => `user-${userId}`;
+export const ADMIN_ROOM = 'admins';
+
+export function initRealtime(server) {
+  io = server;
+
+  // Every connection must present a valid token
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const user = socket.data.user;
+    console.log(`User connected: ${socket.id} (${user.id})`);
+
+    socket.join(userRoom(user.id));
+    if (user.role === 'admin') {
+      socket.join(ADMIN_ROOM);
+    }
+
+    // Join contest room; only participants (or admins) may listen in
+    socket.on('join-contest', async (contestId, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        if (!mongoose.isValidObjectId(contestId)) {
+          return reply(socketError('Invalid contest id', 'INVALID_CONTEST'));
+        }
+
+        if (user.role !== 'admin') {
+          const joined = await ContestResult.exists({ contestId, userId: user.id });
+          if (!joined) {
+            emitToAdmins('moderation:room-rejected', {
+              userId: user.id,
+              contestId,
+              reason: 'NOT_PARTICIPANT',
+              at: new Date().toISOString()
+            });
+            return reply(socketError('You have not joined this contest', 'NOT_PARTICIPANT'));
+          }
+        }
+
+        socket.join(contestRoom(contestId));
+        console.log(`User ${user.id} joined contest ${contestId}`);
+        reply({ success: true, room: contestRoom(contestId) });
+      } catch (error) {
+        console.error('Socket join-contest error:', error);
+        reply(socketError('Failed to join contest room', 'SERVER_ERROR'));
+      }
+    });
+
+    // Leave contest room
+    socket.on('leave-contest', (contestId, ack) => {
+      socket.leave(contestRoom(contestId));
+      console.log(`User ${user.id} left contest ${contestId}`);
+      if (typeof ack === 'function') ack({ success: true });
+    });
+
+    socket.on('disconnect', () => {
+      console.log('User disconnected:', socket.id);
+    });
+  });
+
+  return io;
+}
+
+function socketError(message, code) {
+  return { success: false, message, code };
+}
+
+export function emitToUser(userId, event, payload) {
+  if (!io) return;
+  io.to(userRoom(String(userId))).emit(event, payload);
+}
+
+export function emitToContest(contestId, event, payload) {
+  if (!io) return;
+  io.to(contestRoom(String(contestId))).emit(event, payload);
+}
+
+// Moderation events for connected admins
+export function emitToAdmins(event, payload) {
+  if (!io) return;
+  io.to(ADMIN_ROOM).emit(event, payload);
+}
+
+export function emitSubmissionJudged(submission) {
+  emitToUser(submission.userId, 'submission:judged', {
+    submissionId: submission._id,
+    contestId: submission.contestId,
+    problemId: submission.problemId,
+    status: submission.status,
+    verdict: verdictCode(submission.status),
+    failedTest: submission.failedTest,
+    score: submission.score,
+    maxScore: submission.maxScore,
+    totalExecutionTime: submission.totalExecutionTime,
+    totalMemoryUsed: submission.totalMemoryUsed,
+    compileOutput: submission.compileOutput,
+    evaluatedAt: submission.evaluatedAt
+  });
+}
+
+// Coalesce standings changes into at most one push per interval per contest
+export function scheduleLeaderboardUpdate(contestId) {
+  const key = String(contestId);
+  if (!io || pendingLeaderboardPushes.has(key)) return;
+
+  const timer = setTimeout(() => {
+    pendingLeaderboardPushes.delete(key);
+    pushLeaderboardDiff(key).catch((error) => {
+      console.error('Leaderboard push error:', error);
+    });
+  }, LEADERBOARD_PUSH_INTERVAL_MS);
+  pendingLeaderboardPushes.set(key, timer);
+}
+
+async function pushLeaderboardDiff(contestId) {
+  const standings = await buildStandings(contestId, { limit: LEADERBOARD_PUSH_LIMIT });
+  const previous = lastStandings.get(contestId) || new Map();
+  const current = new Map();
+  const changes = [];
+
+  for (const entry of standings) {
+    const userId = String(entry.userId?._id || entry.userId);
+    const row = {
+      userId,
+      name: entry.userId?.name,
+      rank: entry.rank,
+      totalScore: entry.totalScore,
+      solvedCount: entry.solvedCount,
+      penalties: entry.penalties,
+      totalTime: entry.totalTime,
+      pendingAttempts: entry.pendingAttempts ?? 0
+    };
+    current.set(userId, row);
+
+    const before = previous.get(userId);
+    if (!before || Object.keys(row).some((field) => before[field] !== row[field])) {
+      changes.push(row);
+    }
+  }
+
+  // Users pushed out of the visible standings
+  const removed = [...previous.keys()].filter((userId) => !current.has(userId));
+
+  lastStandings.set(contestId, current);
+  if (changes.length === 0 && removed.length === 0) return;
+
+  emitToContest(contestId, 'leaderboard:updated', {
+    contestId,
+    changes,
+    removed,
+    generatedAt: new Date().toISOString()
+  });
+}
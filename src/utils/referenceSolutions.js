@@ -0,0 +1,86 @@
+// Reference solutions guard a problem's test data. Each one is judged against
+// every test like a submission, and an active problem is only saved when all
+// of them get exactly their expected verdict. Problems without reference
+// solutions are not checked. Each solution is judged in a judge slot of its
+// own, so a problem edit never runs more programs than JUDGE_CONCURRENCY.
+import { CodeRunner, CompilationError } from './codeRunner.js';
+import { combineWithHarness } from './judge.js';
+import { JudgeBusyError, judgeQueue } from './judgeQueue.js';
+import { VERDICTS, overallVerdict } from './verdicts.js';
+
+const codeRunner = new CodeRunner();
+
+// Fields that can change a reference solution's verdict
+const JUDGING_FIELDS = ['testCases', 'checker', 'timeLimit', 'memoryLimit', 'harshnessCode', 'referenceSolutions'];
+
+// Raised when an active problem's reference solutions disagree with their tags
+export class ReferenceSolutionError extends Error {
+  constructor(results) {
+    super('Reference solutions did not get their expected verdicts');
+    this.name = 'ReferenceSolutionError';
+    this.results = results;
+  }
+}
+
+async function judgeReference(solution, problem) {
+  try {
+    const testResults = await judgeQueue.runExclusive(() => codeRunner.runCode(
+      combineWithHarness(solution.code, solution.language, problem),
+      solution.language,
+      problem.testCases,
+      { timeLimit: problem.timeLimit, memoryLimit: problem.memoryLimit, checker: problem.checker }
+    ));
+    return overallVerdict(testResults);
+  } catch (error) {
+    if (error instanceof CompilationError) return { status: VERDICTS.CE, failedTest: null };
+    // Nothing ran; the caller reports the judge as busy
+    if (error instanceof JudgeBusyError) throw error;
+    // Broken checker or missing toolchain: nothing was verified
+    return { status: 'internal_error', failedTest: null, error: error.message };
+  }
+}
+
+/**
+ * Judge every reference solution against the problem's current tests. Each
+ * outcome is recorded on the solution's lastRun (not saved) and returned in
+ * order. Throws JudgeBusyError when the judge has no room for a run.
+ */
+export async function verifyReferenceSolutions(problem) {
+  const results = [];
+  for (const solution of problem.referenceSolutions) {
+    const { status, failedTest, error } = await judgeReference(solution, problem);
+    const passed = status === solution.expectedVerdict;
+    solution.lastRun = { status, failedTest, passed, error, checkedAt: new Date() };
+    results.push({
+      name: solution.name,
+      language: solution.language,
+      expectedVerdict: solution.expectedVerdict,
+      status,
+      failedTest,
+      passed,
+      ...(error && { error })
+    });
+  }
+  return results;
+}
+
+/**
+ * Call before saving a new or modified problem. Re-judges the reference
+ * solutions when anything they depend on changed or the problem is being
+ * activated, and throws ReferenceSolutionError instead of letting an active
+ * problem through with a mismatch. Inactive problems keep the results on
+ * lastRun. Returns the results, or null when nothing had to run.
+ */
+export async function checkReferenceSolutions(problem) {
+  if (problem.referenceSolutions.length === 0) return null;
+
+  const changed = problem.isNew || JUDGING_FIELDS.some(field => problem.isModified(field));
+  const activating = problem.isActive && problem.isModified('isActive');
+  if (!changed && !activating) return null;
+
+  const results = await verifyReferenceSolutions(problem);
+  if (problem.isActive && results.some(result => !result.passed)) {
+    throw new ReferenceSolutionError(results);
+  }
+  return results;
+}
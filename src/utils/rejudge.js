@@ -0,0 +1,140 @@
+// Admin rejudges. Affected submissions are queued for the judge behind live
+// submissions with a note of the verdict they had, which keeps counting in the
+// standings until the new one lands; once judged again the before/after pair is
+// kept in rejudgeHistory, contest results are rebuilt (locked ones included)
+// and progress is reported to the admins room. Finalized contests get a new
+// standings snapshot version when the batch completes.
+import Contest from '../models/Contest.js';
+import RejudgeBatch from '../models/RejudgeBatch.js';
+import Submission from '../models/Submission.js';
+import { finalizeStandings } from './finalization.js';
+import { emitToAdmins } from './realtime.js';
+
+/**
+ * Requeue every judged submission matching `filter`. The caller wakes the
+ * judge queue afterwards.
+ */
+export async function requestRejudge(filter, { scope, targetId, requestedBy }) {
+  const submissions = await Submission.find({
+    ...filter,
+    status: { $nin: ['pending', 'running'] },
+    rejudge: { $exists: false }
+  })
+    .select('_id contestId status score');
+
+  const batch = await RejudgeBatch.create({
+    scope,
+    targetId,
+    requestedBy,
+    contestIds: [...new Set(submissions.map(s => String(s.contestId)))],
+    total: submissions.length
+  });
+
+  let requeued = 0;
+  if (submissions.length > 0) {
+    const requestedAt = new Date();
+    // Guarded on the request so a concurrent rejudge cannot requeue twice
+    const { modifiedCount } = await Submission.bulkWrite(submissions.map((submission) => ({
+      updateOne: {
+        filter: { _id: submission._id, status: submission.status, rejudge: { $exists: false } },
+        update: {
+          $set: {
+            rejudge: {
+              batchId: batch._id,
+              requestedBy,
+              requestedAt,
+              state: 'queued',
+              before: { status: submission.status, score: submission.score }
+            }
+          }
+        }
+      }
+    })));
+    requeued = modifiedCount;
+  }
+
+  if (requeued < batch.total) {
+    batch.total = requeued;
+    await RejudgeBatch.updateOne({ _id: batch._id }, { $set: { total: requeued } });
+  }
+
+  emitToAdmins('moderation:rejudge-started', {
+    batchId: batch._id,
+    scope,
+    targetId,
+    total: batch.total,
+    at: batch.createdAt.toISOString()
+  });
+  await completeIfDone(batch._id);
+  return batch;
+}
+
+/**
+ * Move a judged submission's pending rejudge into its history. Mutates the
+ * document and returns the finished request, or null if it was not a rejudge.
+ */
+export function settleRejudge(submission) {
+  const request = submission.rejudge;
+  if (!request) return null;
+
+  submission.rejudgeHistory.push({
+    batchId: request.batchId,
+    requestedBy: request.requestedBy,
+    requestedAt: request.requestedAt,
+    judgedAt: submission.evaluatedAt || new Date(),
+    before: request.before,
+    after: { status: submission.status, score: submission.score }
+  });
+  submission.rejudge = undefined;
+  return request;
+}
+
+// Count one settled submission towards its batch and report it
+export async function reportRejudgeProgress(submission, request) {
+  const changed = request.before.status !== submission.status || request.before.score !== submission.score;
+  const batch = await RejudgeBatch.findByIdAndUpdate(
+    request.batchId,
+    { $inc: { done: 1, changed: changed ? 1 : 0 } },
+    { new: true }
+  );
+  if (!batch) return;
+
+  emitToAdmins('moderation:rejudge-progress', {
+    batchId: batch._id,
+    submissionId: submission._id,
+    contestId: submission.contestId,
+    before: request.before,
+    after: { status: submission.status, score: submission.score },
+    done: batch.done,
+    total: batch.total,
+    changed: batch.changed
+  });
+  await completeIfDone(batch._id);
+}
+
+// Only one caller wins the transition to completed
+async function completeIfDone(batchId) {
+  const batch = await RejudgeBatch.findOneAndUpdate(
+    { _id: batchId, status: 'running', $expr: { $gte: ['$done', '$total'] } },
+    { $set: { status: 'completed', completedAt: new Date() } },
+    { new: true }
+  );
+  if (!batch) return;
+
+  // Official standings of finalized contests are versioned, never rewritten
+  if (batch.changed > 0) {
+    const contests = await Contest.find({ _id: { $in: batch.contestIds }, status: 'finalized' });
+    for (const contest of contests) {
+      await finalizeStandings(contest, { reason: 'rejudge' });
+    }
+  }
+
+  emitToAdmins('moderation:rejudge-complete', {
+    batchId: batch._id,
+    scope: batch.scope,
+    targetId: batch.targetId,
+    total: batch.total,
+    changed: batch.changed,
+    at: batch.completedAt.toISOString()
+  });
+}
@@ -0,0 +1,75 @@
+// Post-contest scoreboard resolver. Frozen cells are revealed one at a time,
+// ICPC style: the lowest-ranked participant with frozen attempts has their
+// first frozen problem (in contest order) revealed, then standings re-rank.
+import Contest from '../models/Contest.js';
+import { buildFrozenStandings, invalidateFrozenStandings, rowUserId } from './leaderboard.js';
+import { emitToContest } from './realtime.js';
+
+const frozenCount = (standings) => standings.reduce((sum, row) => sum + row.pendingAttempts, 0);
+
+/**
+ * Reveal the next frozen cell of a finalized contest and broadcast it to the
+ * contest room. Returns the step, `{ completed: true }` once nothing is left,
+ * or null if another step revealed the same cell first.
+ */
+export async function revealNextCell(contest) {
+  const standings = await buildFrozenStandings(contest);
+  const target = [...standings].reverse().find(row => row.pendingAttempts > 0);
+
+  if (!target) {
+    await markResolved(contest);
+    return { completed: true };
+  }
+
+  const userId = rowUserId(target);
+  const { problemId } = target.problemResults.find(p => p.pendingAttempts > 0);
+
+  const updated = await Contest.findOneAndUpdate(
+    {
+      _id: contest._id,
+      'resolver.completedAt': null,
+      'resolver.revealed': { $not: { $elemMatch: { userId, problemId } } }
+    },
+    { $push: { 'resolver.revealed': { userId, problemId, revealedAt: new Date() } } },
+    { new: true }
+  );
+  if (!updated) return null;
+  invalidateFrozenStandings(contest._id);
+
+  const after = await buildFrozenStandings(updated);
+  const row = after.find(r => rowUserId(r) === userId);
+  const remaining = frozenCount(after);
+
+  const step = {
+    contestId: contest._id,
+    userId,
+    name: row.userId?.name,
+    problemId,
+    problemResult: row.problemResults.find(p => String(p.problemId) === String(problemId)),
+    previousRank: target.rank,
+    rank: row.rank,
+    totalScore: row.totalScore,
+    solvedCount: row.solvedCount,
+    penalties: row.penalties,
+    remaining,
+    completed: remaining === 0
+  };
+  emitToContest(contest._id, 'leaderboard:resolver-step', step);
+
+  if (step.completed) await markResolved(updated);
+  return step;
+}
+
+async function markResolved(contest) {
+  const resolvedAt = new Date();
+  const updated = await Contest.findOneAndUpdate(
+    { _id: contest._id, 'resolver.completedAt': null },
+    { $set: { 'resolver.completedAt': resolvedAt } }
+  );
+  if (updated) {
+    emitToContest(contest._id, 'leaderboard:resolved', {
+      contestId: contest._id,
+      resolvedAt: resolvedAt.toISOString()
+    });
+  }
+}
@@ -0,0 +1,457 @@
+// Process isolation for untrusted code, built from primitives that need no root
+// (given unprivileged user namespaces): rlimits via prlimit, capped output, and
+// per-run user, mount, network and pid namespaces. Inside them the program sees
+// a read-only view of the system directories, a private /tmp and its own
+// working directory as the only writable path; anything it leaves running dies
+// with the namespace. CPU time and peak memory are taken from wait4() by a
+// small C helper.
+//
+// The sandbox fails closed: if any of these primitives is unavailable, every
+// run is refused with SandboxUnavailableError and the judge does not start.
+// SANDBOX_ALLOW_INSECURE=true runs untrusted code with whatever isolation is
+// left instead; contestants can then read the server's files and environment,
+// so it is only fit for trusted code on a development machine.
+import { spawn, spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_OUTPUT_LIMIT_BYTES = (parseInt(process.env.SANDBOX_OUTPUT_LIMIT_KB) || 16 * 1024) * 1024;
+const MAX_PROCESSES = parseInt(process.env.SANDBOX_MAX_PROCESSES) || 128;
+const STDERR_LIMIT_BYTES = 64 * 1024;
+const MAX_OPEN_FILES = 256;
+const TREE_WATCH_INTERVAL_MS = 20;
+const ACCOUNTING_SOURCE = fileURLToPath(new URL('./accounting.c', import.meta.url));
+
+// Mounted read-only inside the sandbox when they exist, along with the node
+// and pyenv installations and anything in SANDBOX_READONLY_PATHS
+// (colon-separated) for toolchains installed elsewhere
+const SYSTEM_PATHS = ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/etc', '/opt'];
+
+// Runs inside the new namespaces as "sh -c ISOLATION_SCRIPT sandbox <root>
+// <work dir> <read-only dirs...> -- <command...>": builds a fresh root on a
+// tmpfs, pivots into it and drops every capability before exec
+const ISOLATION_SCRIPT = `
+set -e
+root=$1; work=$2; shift 2
+mount -t tmpfs -o mode=755,size=1m sandbox "$root"
+mkdir -p "$root/tmp" "$root/dev" "$root/proc" "$root/.old"
+mount -t tmpfs -o mode=1777,size=64m tmp "$root/tmp"
+while [ "$1" != -- ]; do
+  mkdir -p "$root$1"
+  mount --bind "$1" "$root$1"
+  mount -o remount,bind,ro,nosuid,nodev "$root$1"
+  shift
+done
+shift
+mkdir -p "$root$work"
+mount --bind "$work" "$root$work"
+for dev in null zero random urandom; do
+  touch "$root/dev/$dev"
+  mount --bind "/dev/$dev" "$root/dev/$dev"
+done
+if mount -t proc proc "$root/proc" 2>/dev/null; then ln -s /proc/self/fd "$root/dev/fd"; fi
+cd "$root"
+pivot_root . .old
+umount -l /.old
+rmdir /.old
+mount -o remount,bind,ro /
+cd "$work"
+exec setpriv --no-new-privs --inh-caps=-all --bounding-set=-all -- "$@"
+`;
+
+let capabilities = null;
+let privateDir = null;
+let warnedInsecure = false;
+
+// Raised instead of running anything when isolation is incomplete
+export class SandboxUnavailableError extends Error {
+  constructor(missing) {
+    super(`Sandbox unavailable: no ${missing.join(', ')} on this host (set SANDBOX_ALLOW_INSECURE=true to run without)`);
+    this.name = 'SandboxUnavailableError';
+    this.missing = missing;
+  }
+}
+
+const works = (command, args) => {
+  try {
+    return spawnSync(command, args, { stdio: 'ignore', timeout: 5000 }).status === 0;
+  } catch {
+    return false;
+  }
+};
+
+// Probe once which isolation primitives this host allows
+export function getSandboxCapabilities() {
+  if (capabilities) return capabilities;
+
+  const isLinux = process.platform === 'linux';
+  capabilities = {
+    prlimit: isLinux && works('prlimit', ['--version']),
+    networkNamespace: isLinux && process.env.SANDBOX_DISABLE_NETNS !== 'true' && works('unshare', ['-rn', 'true']),
+    filesystem: isLinux && process.env.SANDBOX_DISABLE_FS_ISOLATION !== 'true' && probeFilesystemIsolation(),
+    accounting: isLinux ? buildAccountingHelper() : null
+  };
+  return capabilities;
+}
+
+/**
+ * Throw SandboxUnavailableError unless every isolation primitive works, or
+ * the operator opted out with SANDBOX_ALLOW_INSECURE=true. Returns the
+ * capabilities.
+ */
+export function assertSandboxReady() {
+  const caps = getSandboxCapabilities();
+  const missing = Object.keys(caps).filter(name => !caps[name]);
+  if (missing.length === 0) return caps;
+
+  if (process.env.SANDBOX_ALLOW_INSECURE !== 'true') {
+    throw new SandboxUnavailableError(missing);
+  }
+  if (!warnedInsecure) {
+    warnedInsecure = true;
+    console.warn(`SANDBOX_ALLOW_INSECURE is set: running untrusted code without ${missing.join(', ')}`);
+  }
+  return caps;
+}
+
+// Directory private to this server process: the mount point for sandbox roots
+// and the accounting helper. Removed on exit.
+function getPrivateDir() {
+  if (!privateDir) {
+    privateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'judge-sandbox-'));
+    fs.mkdirSync(path.join(privateDir, 'root'));
+    process.once('exit', disposeSandbox);
+  }
+  return privateDir;
+}
+
+// Remove the private directory; the next run probes the host again
+export function disposeSandbox() {
+  removeWorkDir(privateDir);
+  privateDir = null;
+  capabilities = null;
+}
+
+// Compile the wait4() accounting helper. Returns its path, or null without a
+// C compiler.
+function buildAccountingHelper() {
+  try {
+    const binary = path.join(getPrivateDir(), 'accounting');
+    const result = spawnSync('cc', ['-O2', '-o', binary, ACCOUNTING_SOURCE], { stdio: 'ignore', timeout: 30000 });
+    return result.status === 0 ? binary : null;
+  } catch {
+    return null;
+  }
+}
+
+function probeFilesystemIsolation() {
+  let workDir = null;
+  try {
+    workDir = createWorkDir();
+    const [command, ...args] = isolate(['true'], workDir);
+    return works(command, args);
+  } catch {
+    return false;
+  } finally {
+    removeWorkDir(workDir);
+  }
+}
+
+// Existing directories to mount read-only, without ones already inside another
+const readonlyPaths = () => {
+  const candidates = [
+    ...SYSTEM_PATHS,
+    path.dirname(path.dirname(process.execPath)),
+    process.env.PYENV_ROOT,
+    ...(process.env.SANDBOX_READONLY_PATHS || '').split(':'),
+    getPrivateDir()
+  ].filter(dir => dir && path.isAbsolute(dir) && fs.existsSync(dir) && fs.statSync(dir).isDirectory());
+
+  const inside = (dir, parent) => dir !== parent && !path.relative(parent, dir).startsWith('..');
+  return [...new Set(candidates.map(dir => path.resolve(dir)))]
+    .filter((dir, index, dirs) => !dirs.some((other, otherIndex) => otherIndex !== index && inside(dir, other)));
+};
+
+// Run argv in fresh user, mount, network and pid namespaces with only
+// workDir writable. --kill-child and the pid namespace take down anything
+// the program leaves behind once it exits.
+const isolate = (argv, workDir) => [
+  'unshare', '-rmnp', '--fork', '--kill-child', '--',
+  'sh', '-c', ISOLATION_SCRIPT, 'sandbox', path.join(getPrivateDir(), 'root'), workDir,
+  ...readonlyPaths(), '--', ...argv
+];
+
+export function createWorkDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'judge-'));
+}
+
+export function removeWorkDir(dir) {
+  if (dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// RLIMIT_NPROC counts every task of the real uid, the server's own threads
+// and other runs included, so the cap sits MAX_PROCESSES above what the uid
+// already runs. Root is exempt from it; the tree watch still applies.
+function processLimit() {
+  const uid = process.getuid();
+  if (uid === 0) return MAX_PROCESSES;
+
+  let tasks = 0;
+  for (const pid of fs.readdirSync('/proc').filter(name => /^\d+$/.test(name))) {
+    try {
+      const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+      if (Number(/^Uid:\s+(\d+)/m.exec(status)?.[1]) === uid) {
+        tasks += Number(/^Threads:\s+(\d+)/m.exec(status)?.[1]) || 1;
+      }
+    } catch {}
+  }
+  return tasks + MAX_PROCESSES;
+}
+
+// Wrap a command with the isolation layers; throws SandboxUnavailableError
+// when they are incomplete
+function buildCommand(command, args, limits) {
+  const caps = assertSandboxReady();
+  let argv = [command, ...args];
+
+  if (caps.prlimit) {
+    const rlimits = [
+      `--cpu=${limits.cpuSeconds}:${limits.cpuSeconds + 1}`,
+      `--fsize=${limits.outputLimitBytes}`,
+      `--nofile=${MAX_OPEN_FILES}`,
+      `--nproc=${processLimit()}`,
+      '--core=0'
+    ];
+    if (limits.addressSpaceBytes) {
+      rlimits.push(`--as=${limits.addressSpaceBytes}`);
+    }
+    argv = ['prlimit', ...rlimits, '--', ...argv];
+  }
+
+  // Outside the rlimits, so the helper itself never trips them
+  if (caps.accounting) {
+    argv = [caps.accounting, ...argv];
+  }
+
+  if (caps.filesystem) {
+    argv = isolate(argv, limits.workDir);
+  } else if (caps.networkNamespace) {
+    argv = ['unshare', '-rn', '--', ...argv];
+  }
+
+  return argv;
+}
+
+const SIGNAL_NAMES = Object.fromEntries(Object.entries(os.constants.signals).map(([name, number]) => [number, name]));
+
+// Final CPU time and peak RSS come from the accounting helper, which reaps the
+// program with wait4() and reports "<exit code> <signal> <cpu us> <max rss kB>"
+// on fd 3 (see accounting.c)
+const parseAccounting = (text) => {
+  const match = /^(\d+) (\d+) (\d+) (\d+)$/m.exec(text);
+  if (!match) return null;
+  const signal = Number(match[2]) ? SIGNAL_NAMES[match[2]] || `SIG${match[2]}` : null;
+  return {
+    exitCode: signal ? null : Number(match[1]),
+    signal,
+    cpuTime: Math.round(Number(match[3]) / 1000),
+    peakMemoryKb: Number(match[4])
+  };
+};
+
+// Every process below `pid`, from /proc/<pid>/task/<tid>/children
+function descendants(pid) {
+  const found = [];
+  const queue = [pid];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    let tasks = [];
+    try {
+      tasks = fs.readdirSync(`/proc/${current}/task`);
+    } catch {}
+    for (const task of tasks) {
+      try {
+        const children = fs.readFileSync(`/proc/${current}/task/${task}/children`, 'utf8').trim();
+        if (children) queue.push(...children.split(' ').map(Number));
+      } catch {}
+    }
+    found.push(current);
+  }
+  return found;
+}
+
+// Watch the process tree while it runs and call onExceeded once its combined
+// resident memory passes limitKb (wait4() only sees the largest single
+// process, so a forking program could spread past the limit) or it holds more
+// than MAX_PROCESSES processes. watch.memoryExceeded tells the two apart.
+function startTreeWatch(pid, limitKb, onExceeded) {
+  const watch = { peakMemoryKb: 0, memoryExceeded: false };
+  if (process.platform !== 'linux' || !pid) {
+    return { stop: () => watch };
+  }
+
+  const sample = () => {
+    const tree = descendants(pid);
+    let totalKb = 0;
+    for (const current of tree) {
+      try {
+        const status = fs.readFileSync(`/proc/${current}/status`, 'utf8');
+        totalKb += Number(/VmRSS:\s+(\d+) kB/.exec(status)?.[1]) || 0;
+      } catch {}
+    }
+    watch.peakMemoryKb = Math.max(watch.peakMemoryKb, totalKb);
+    watch.memoryExceeded = totalKb > limitKb;
+    if (watch.memoryExceeded || tree.length > MAX_PROCESSES) {
+      clearInterval(timer);
+      onExceeded();
+    }
+  };
+
+  const timer = setInterval(sample, TREE_WATCH_INTERVAL_MS);
+  return {
+    stop: () => {
+      clearInterval(timer);
+      return watch;
+    }
+  };
+}
+
+/**
+ * Run one command inside the sandbox. cwd is the only host directory the
+ * program can write to, and must be private to the run. Throws
+ * SandboxUnavailableError when the host cannot isolate it.
+ *
+ * timeLimitMs bounds CPU time (via RLIMIT_CPU) and, with slack for interpreter
+ * start-up, wall time. memoryLimitMb becomes an address-space limit unless the
+ * runtime manages its own heap (limitAddressSpace: false), in which case the
+ * caller passes a runtime flag instead; a process tree whose combined resident
+ * memory passes the limit is killed as well, and reported with that total. The
+ * result carries the cpuTime (ms) and peakMemoryKb reported by wait4()
+ * alongside wallTime (without the accounting helper, wall time and sampled
+ * memory stand in). `input` is a string or a
+ * readable stream piped into stdin; a failing stream kills the run and
+ * rejects with its error.
+ */
+export function runSandboxed({
+  command,
+  args = [],
+  cwd,
+  input = '',
+  timeLimitMs = 1000,
+  memoryLimitMb = 256,
+  limitAddressSpace = true,
+  outputLimitBytes = DEFAULT_OUTPUT_LIMIT_BYTES
+}) {
+  const [bin, ...argv] = buildCommand(command, args, {
+    cpuSeconds: Math.max(1, Math.ceil(timeLimitMs / 1000)),
+    addressSpaceBytes: limitAddressSpace ? memoryLimitMb * 1024 * 1024 : null,
+    outputLimitBytes,
+    workDir: cwd
+  });
+  const wallLimitMs = timeLimitMs * 2 + 1000;
+
+  return new Promise((resolve, reject) => {
+    const startTime = Date.now();
+    const child = spawn(bin, argv, {
+      cwd,
+      env: {
+        PATH: process.env.PATH,
+        HOME: cwd,
+        LANG: 'C.UTF-8',
+        ...(process.env.PYENV_ROOT && { PYENV_ROOT: process.env.PYENV_ROOT })
+      },
+      stdio: ['pipe', 'pipe', 'pipe', 'pipe'], // fd 3 carries the accounting report
+      detached: true // own process group, so a timeout kills any children too
+    });
+
+
+    let stdout = '';
+    let stdoutBytes = 0;
+    let stderr = '';
+    let timedOut = false;
+    let outputLimitExceeded = false;
+    let inputError = null;
+
+    const killGroup = () => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {}
+    };
+
+    const treeWatch = startTreeWatch(child.pid, memoryLimitMb * 1024, killGroup);
+
+    let report = '';
+    child.stdio[3].on('data', (data) => {
+      report += data.toString();
+    });
+
+    const wallTimer = setTimeout(() => {
+      timedOut = true;
+      killGroup();
+    }, wallLimitMs);
+
+    child.stdout.on('data', (data) => {
+      stdoutBytes += data.length;
+      if (stdoutBytes > outputLimitBytes) {
+        outputLimitExceeded = true;
+        killGroup();
+        return;
+      }
+      stdout += data.toString();
+    });
+
+    child.stderr.on('data', (data) => {
+      if (stderr.length < STDERR_LIMIT_BYTES) {
+        stderr += data.toString().slice(0, STDERR_LIMIT_BYTES - stderr.length);
+      }
+    });
+
+    child.on('close', (exitCode, signal) => {
+      clearTimeout(wallTimer);
+      const watched = treeWatch.stop();
+      const wallTime = Date.now() - startTime;
+      // No report when the helper is unavailable or was killed itself
+      const usage = parseAccounting(report) || { exitCode, signal, cpuTime: wallTime, peakMemoryKb: watched.peakMemoryKb };
+      if (typeof input !== 'string') input.destroy();
+      if (inputError) {
+        reject(inputError);
+        return;
+      }
+      resolve({
+        stdout,
+        stderr,
+        exitCode: usage.exitCode,
+        signal: usage.signal,
+        // RLIMIT_CPU delivers SIGXCPU at the soft limit and SIGKILL at the hard one
+        timedOut: timedOut || usage.signal === 'SIGXCPU',
+        outputLimitExceeded,
+        wallTime,
+        cpuTime: usage.cpuTime,
+        peakMemoryKb: watched.memoryExceeded ? Math.max(usage.peakMemoryKb, watched.peakMemoryKb) : usage.peakMemoryKb
+      });
+    });
+
+    child.on('error', (err) => {
+      clearTimeout(wallTimer);
+      treeWatch.stop();
+      if (typeof input !== 'string') input.destroy();
+      reject(err);
+    });
+
+    // The program may exit without reading its input
+    child.stdin.on('error', () => {});
+    if (typeof input === 'string') {
+      child.stdin.end(input);
+    } else {
+      input.once('error', (error) => {
+        inputError = error;
+        killGroup();
+      });
+      input.pipe(child.stdin);
+    }
+  });
+}
@@ -0,0 +1,169 @@
+// Server-side scoring. Contest results are rebuilt from the judged Submission
+// records rather than trusted from anything a client reports.
+import Contest from '../models/Contest.js';
+import ContestResult from '../models/ContestResult.js';
+import Problem from '../models/Problem.js';
+import Submission from '../models/Submission.js';
+import { VERDICTS } from './verdicts.js';
+
+// Statuses that carry a final verdict (pending, running and internal errors do not)
+export const JUDGED_STATUSES = Object.values(VERDICTS);
+
+// New result row with one not-attempted entry per contest problem
+export async function createContestResult(userId, contest) {
+  const entries = Array.isArray(contest?.problems) ? contest.problems : [];
+  const problemDocs = await Problem.find({ _id: { $in: entries.map(p => p.problemId) } }, { 'testCases.points': 1, points: 1 });
+  const probMap = new Map(problemDocs.map(p => [String(p._id), p]));
+
+  return ContestResult.create({
+    userId,
+    contestId: contest._id,
+    problemResults: entries.map(p => {
+      const full = probMap.get(String(p.problemId));
+      let maxScore = Number(p.points) || 0;
+      // Entry points are the most a dynamic problem can be worth; otherwise
+      // the problem's own test points decide
+      if (contest.scoringMode !== 'dynamic') {
+        if (full && Array.isArray(full.testCases) && full.testCases.length > 0) {
+          maxScore = full.testCases.reduce((s, tc) => s + (Number(tc.points) || 0), 0);
+        } else if (full && typeof full.points === 'number') {
+          maxScore = Number(full.points) || 0;
+        }
+      }
+      return {
+        problemId: p.problemId,
+        maxScore,
+        status: 'not_attempted'
+      };
+    })
+  });
+}
+
+export function loadJudgedSubmissions(contestId, userId) {
+  return Submission.find({ contestId, userId, status: { $in: JUDGED_STATUSES } })
+    .select('problemId status score totalExecutionTime submittedAt')
+    .sort({ submittedAt: 1 });
+}
+
+// Contest time of a submission, in ms since the contest started
+const elapsed = (submission, contest) =>
+  Math.max(0, new Date(submission.submittedAt) - new Date(contest.startTime));
+
+// Rejected attempts before the first accepted one; compilation errors are
+// not charged
+const countRejected = (attempts, acceptedIndex) =>
+  (acceptedIndex === -1 ? attempts : attempts.slice(0, acceptedIndex))
+    .filter(s => s.status !== VERDICTS.CE).length;
+
+// Per-mode replay of one problem's attempts (oldest first)
+const PROBLEM_SCORERS = {
+  // Best score counts; time is when that score was first reached
+  partial(problemResult, attempts, contest) {
+    const best = attempts.reduce((max, s) => Math.max(max, s.score || 0), 0);
+    const reached = best > 0 ? attempts.find(s => (s.score || 0) === best) : null;
+
+    problemResult.score = best;
+    problemResult.timeSpent = reached ? elapsed(reached, contest) : 0;
+    problemResult.rejectedAttempts = 0;
+    problemResult.penalty = 0;
+  },
+
+  // Solved or not; penalty is minutes to first AC plus a fixed charge per
+  // earlier rejected attempt. Compilation errors are not charged and nothing
+  // after the first AC counts.
+  icpc(problemResult, attempts, contest) {
+    const acceptedIndex = attempts.findIndex(s => s.status === VERDICTS.AC);
+    const rejected = countRejected(attempts, acceptedIndex);
+
+    problemResult.score = acceptedIndex === -1 ? 0 : problemResult.maxScore;
+    problemResult.rejectedAttempts = rejected;
+    if (acceptedIndex === -1) {
+      problemResult.timeSpent = 0;
+      problemResult.penalty = 0;
+    } else {
+      const solvedAt = elapsed(attempts[acceptedIndex], contest);
+      const penaltyMinutes = contest.penaltyMinutes ?? 20;
+      problemResult.timeSpent = solvedAt;
+      problemResult.penalty = Math.floor(solvedAt / 60000) + penaltyMinutes * rejected;
+    }
+  },
+
+  // Only an accepted solution scores: the problem's value at that moment less
+  // a deduction per earlier rejected attempt, never below the floor
+  dynamic(problemResult, attempts, contest) {
+    const acceptedIndex = attempts.findIndex(s => s.status === VERDICTS.AC);
+    const rejected = countRejected(attempts, acceptedIndex);
+    const entry = contest.problems.find(p => String(p.problemId) === String(problemResult.problemId));
+
+    problemResult.rejectedAttempts = rejected;
+    if (acceptedIndex === -1 || !entry) {
+      problemResult.score = 0;
+      problemResult.timeSpent = 0;
+      problemResult.penalty = 0;
+    } else {
+      const accepted = attempts[acceptedIndex];
+      const value = contest.problemValue(entry, new Date(accepted.submittedAt));
+      const floor = Math.min(contest.minPointsFor(entry), value);
+      const deduction = Math.min((entry.attemptPenalty ?? 50) * rejected, value - floor);
+
+      problemResult.score = value - deduction;
+      problemResult.timeSpent = elapsed(accepted, contest);
+      problemResult.penalty = deduction;
+    }
+  }
+};
+
+// Leaderboard order for each scoring mode
+export const STANDINGS_SORT = {
+  partial: { totalScore: -1, totalTime: 1 },
+  icpc: { solvedCount: -1, penalties: 1, totalTime: 1 },
+  dynamic: { totalScore: -1, totalTime: 1 }
+};
+
+export const standingsSort = (contest) => STANDINGS_SORT[contest?.scoringMode] || STANDINGS_SORT.partial;
+
+// In-memory comparator equivalent to standingsSort
+export const compareStandings = (contest) => {
+  const fields = Object.entries(standingsSort(contest));
+  return (a, b) => {
+    for (const [field, direction] of fields) {
+      if (a[field] !== b[field]) return (a[field] - b[field]) * direction;
+    }
+    return 0;
+  };
+};
+
+// Replace every problem result with one replayed from the user's judged submissions
+export function rebuildProblemResults(contestResult, submissions, contest) {
+  const scoringMode = PROBLEM_SCORERS[contest.scoringMode] ? contest.scoringMode : 'partial';
+  const byProblem = new Map();
+  for (const submission of submissions) {
+    const key = String(submission.problemId);
+    if (!byProblem.has(key)) byProblem.set(key, []);
+    byProblem.get(key).push(submission);
+  }
+
+  for (const problemResult of contestResult.problemResults) {
+    const attempts = byProblem.get(String(problemResult.problemId)) || [];
+    const firstAccepted = attempts.find(s => s.status === VERDICTS.AC);
+
+    PROBLEM_SCORERS[scoringMode](problemResult, attempts, contest);
+    problemResult.submissionCount = attempts.length;
+    problemResult.firstAcceptedAt = firstAccepted ? firstAccepted.submittedAt : undefined;
+    problemResult.status = firstAccepted ? 'accepted'
+      : problemResult.score > 0 ? 'partial'
+      : attempts.length > 0 ? 'attempted'
+      : 'not_attempted';
+  }
+
+  contestResult.calculateTotals({ scoringMode });
+  return contestResult;
+}
+
+export async function recomputeContestResult(contestResult, contest) {
+  if (!contest) {
+    contest = await Contest.findById(contestResult.contestId).select('startTime duration scoringMode penaltyMinutes problems');
+  }
+  const submissions = await loadJudgedSubmissions(contestResult.contestId, contestResult.userId);
+  return rebuildProblemResults(contestResult, submissions, contest);
+}
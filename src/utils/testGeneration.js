@@ -0,0 +1,209 @@
+// Generated tests and input validation. Tests that carry generator arguments
+// get their input from the problem's generator program and their expected
+// output from the main (first accepted) reference solution, so large tests
+// can be described by a seed instead of stored by hand. The input validator
+// then checks every test input against the constraints; an active problem is
+// only saved when all of them pass. Each tool program builds and runs in one
+// judge slot, like a submission.
+import { CodeRunner } from './codeRunner.js';
+import { combineWithHarness } from './judge.js';
+import { judgeQueue } from './judgeQueue.js';
+import { runSandboxed } from './sandbox.js';
+import { openInput } from './testStorage.js';
+import { VERDICTS } from './verdicts.js';
+
+const codeRunner = new CodeRunner();
+
+const TOOL_TIME_LIMIT_MS = 10000;
+const TOOL_MEMORY_MB = 1024;
+
+// Exit codes that mean "valid input", per validator interface
+const VALID_EXIT_CODES = {
+  testlib: [0],
+  kattis: [42]
+};
+
+// Fields that change what the generated tests contain
+const GENERATION_FIELDS = ['generator', 'testCases', 'referenceSolutions', 'harshnessCode', 'timeLimit', 'memoryLimit'];
+
+// Raised when tests cannot be generated or fail validation; `errors` lists
+// each failure
+export class TestDataError extends Error {
+  constructor(errors) {
+    super(`Invalid test data: ${errors.join('; ')}`);
+    this.name = 'TestDataError';
+    this.errors = errors;
+  }
+}
+
+const describeFailure = (result) => (result.timedOut ? 'timed out'
+  : result.outputLimitExceeded ? 'output limit exceeded'
+  : `exited with ${result.signal || `code ${result.exitCode}`}`);
+
+// Run a prepared tool program once, with arguments and stdin
+function runTool(program, { args = [], input = '' }) {
+  const [command, runArgs] = program.spec.run(TOOL_MEMORY_MB);
+  return runSandboxed({
+    command,
+    args: [...runArgs, ...args],
+    cwd: program.workDir,
+    input,
+    timeLimitMs: TOOL_TIME_LIMIT_MS,
+    memoryLimitMb: TOOL_MEMORY_MB,
+    limitAddressSpace: program.spec.limitAddressSpace !== false
+  });
+}
+
+// Build a tool program, reporting a compile failure as a TestDataError
+async function prepareTool(source, label) {
+  try {
+    return await codeRunner.prepare(source.code, source.language);
+  } catch (error) {
+    const detail = error.name === 'CompilationError' ? error.compileOutput : error.message;
+    throw new TestDataError([`${label} failed to build: ${String(detail).trim().slice(0, 1000)}`]);
+  }
+}
+
+const generatedTests = (problem) => problem.testCases
+  .map((testCase, index) => ({ testCase, number: index + 1 }))
+  .filter(({ testCase }) => testCase.generator);
+
+// Write every generated test's input. Returns the failures.
+async function runGenerator(problem, tests) {
+  const errors = [];
+  const generator = await prepareTool(problem.generator, 'Generator');
+  try {
+    for (const { testCase, number } of tests) {
+      const { args = [], seed } = testCase.generator;
+      const withSeed = seed === undefined || seed === null ? args : [...args, String(seed)];
+      const result = await runTool(generator, { args: withSeed });
+      if (result.exitCode !== 0 || result.timedOut || result.outputLimitExceeded) {
+        errors.push(`test ${number}: generator ${describeFailure(result)} ${result.stderr}`.trim());
+      } else {
+        testCase.input = result.stdout;
+        testCase.inputFile = undefined;
+      }
+    }
+  } finally {
+    codeRunner.release(generator);
+  }
+  return errors;
+}
+
+// Write every generated test's expected output from the main solution, under
+// the problem's limits. Returns the failures.
+async function runMainSolution(problem, main, tests) {
+  const errors = [];
+  let solution;
+  try {
+    solution = await codeRunner.prepare(combineWithHarness(main.code, main.language, problem), main.language);
+  } catch (error) {
+    const detail = error.name === 'CompilationError' ? error.compileOutput : error.message;
+    throw new TestDataError([
+      `reference solution "${main.name}" failed to build: ${String(detail).trim().slice(0, 1000)}`
+    ]);
+  }
+  try {
+    for (const { testCase, number } of tests) {
+      const run = await codeRunner.executeTestCase(solution, testCase, {
+        timeLimit: problem.timeLimit,
+        memoryLimit: problem.memoryLimit
+      }, null);
+      if (run.status !== VERDICTS.AC) {
+        errors.push(`test ${number}: reference solution "${main.name}" got ${run.status}`);
+      } else {
+        testCase.expectedOutput = run.output;
+        testCase.outputFile = undefined;
+      }
+    }
+  } finally {
+    codeRunner.release(solution);
+  }
+  return errors;
+}
+
+/**
+ * Regenerate the input and expected output of every test with generator
+ * arguments. Mutates the problem (not saved); throws TestDataError when the
+ * generator or the main solution fails on any test, and JudgeBusyError when
+ * the judge has no room for them.
+ */
+export async function generateTests(problem) {
+  const tests = generatedTests(problem);
+  if (tests.length === 0) return;
+
+  const main = problem.referenceSolutions.find(s => s.expectedVerdict === VERDICTS.AC);
+  const errors = [];
+  if (!problem.generator?.code) errors.push('tests have generator arguments but the problem has no generator');
+  if (!main) errors.push('generated tests need an accepted reference solution to produce expected outputs');
+  if (errors.length > 0) throw new TestDataError(errors);
+
+  errors.push(...await judgeQueue.runExclusive(() => runGenerator(problem, tests)));
+  if (errors.length > 0) throw new TestDataError(errors);
+
+  errors.push(...await judgeQueue.runExclusive(() => runMainSolution(problem, main, tests)));
+  if (errors.length > 0) throw new TestDataError(errors);
+}
+
+// Run the validator over every test input. Returns the failures.
+async function runValidator(problem) {
+  const validator = problem.inputValidator;
+  const program = await prepareTool(validator, 'Input validator');
+  const validCodes = VALID_EXIT_CODES[validator.interface || 'testlib'];
+  const failures = [];
+
+  try {
+    for (const [index, testCase] of problem.testCases.entries()) {
+      const result = await runTool(program, { input: openInput(testCase) });
+      if (!validCodes.includes(result.exitCode) || result.timedOut) {
+        const message = (result.stderr || result.stdout || describeFailure(result)).trim().slice(0, 1000);
+        failures.push({ test: index + 1, message });
+      }
+    }
+  } finally {
+    codeRunner.release(program);
+  }
+  return failures;
+}
+
+/**
+ * Run the input validator over every test input and record the outcome on
+ * inputValidator.lastRun (not saved). Returns the failures, first test first.
+ * Throws JudgeBusyError when the judge has no room for the run.
+ */
+export async function validateInputs(problem) {
+  const validator = problem.inputValidator;
+  const failures = await judgeQueue.runExclusive(() => runValidator(problem));
+
+  validator.lastRun = {
+    passed: failures.length === 0,
+    failedTest: failures[0]?.test,
+    message: failures[0]?.message,
+    checkedAt: new Date()
+  };
+  return failures;
+}
+
+/**
+ * Call before saving a new or modified problem, ahead of the reference
+ * solution check. Regenerates generated tests when anything they depend on
+ * changed, then validates the inputs when they or the validator changed or
+ * the problem is being activated. An active problem with invalid inputs is
+ * refused with a TestDataError; an inactive one keeps the outcome on
+ * inputValidator.lastRun.
+ */
+export async function buildTestData(problem) {
+  const changed = (fields) => problem.isNew || fields.some(field => problem.isModified(field));
+
+  if (changed(GENERATION_FIELDS)) await generateTests(problem);
+
+  if (!problem.inputValidator?.code) return;
+  const activating = problem.isActive && problem.isModified('isActive');
+  if (!changed(['testCases', 'inputValidator']) && !activating) return;
+
+  const failures = await validateInputs(problem);
+  if (problem.isActive && failures.length > 0) {
+    throw new TestDataError(failures.map(({ test, message }) =>
+      `test ${test}: ${message || 'rejected by the input validator'}`));
+  }
+}
@@ -0,0 +1,148 @@
+// Test data storage. Small test inputs and answers stay inline in the Problem
+// document; anything over TEST_DATA_INLINE_LIMIT_KB is kept in the "testdata"
+// GridFS bucket and referenced from the test case by file id, size and
+// SHA-256, so a problem is not capped by the 16 MB document limit. Stored
+// data is checked against its checksum whenever it is read.
+import crypto from 'crypto';
+import fs from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import mongoose from 'mongoose';
+
+const BUCKET_NAME = 'testdata';
+const INLINE_LIMIT_BYTES = (parseInt(process.env.TEST_DATA_INLINE_LIMIT_KB) || 64) * 1024;
+
+// Inline field -> field holding its GridFS reference
+const FILE_FIELDS = {
+  input: 'inputFile',
+  expectedOutput: 'outputFile'
+};
+
+// Storage failures are the judge's fault, never the contestant's
+export class TestStorageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TestStorageError';
+  }
+}
+
+const bucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Reference to the stored copy, unless an inline value (a new or edited
+// test that is not saved yet) takes precedence
+const storedRef = (testCase, field) => {
+  const ref = testCase[FILE_FIELDS[field]];
+  return typeof testCase[field] !== 'string' && ref?.fileId ? ref : null;
+};
+
+const inlineText = (testCase, field) => {
+  const value = testCase[field];
+  if (field === 'input' && typeof value !== 'string') return JSON.stringify(value ?? '');
+  return value ?? '';
+};
+
+async function upload(problemId, field, text) {
+  const data = Buffer.from(text, 'utf8');
+  const digest = sha256(data);
+  const stream = bucket().openUploadStream(`${problemId}-${field}`, {
+    metadata: { problemId, field, sha256: digest }
+  });
+  stream.end(data);
+  await new Promise((resolve, reject) => {
+    stream.once('finish', resolve);
+    stream.once('error', reject);
+  });
+  return { fileId: stream.id, size: data.length, sha256: digest };
+}
+
+/**
+ * Readable stream of one stored test file. The stream fails instead of
+ * ending when the content does not match the recorded checksum.
+ */
+export function openTestData(ref) {
+  const hash = crypto.createHash('sha256');
+  const verify = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      const digest = hash.digest('hex');
+      callback(digest === ref.sha256
+        ? null
+        : new TestStorageError(`Test data ${ref.fileId} does not match its checksum`));
+    }
+  });
+
+  const download = bucket().openDownloadStream(ref.fileId);
+  download.once('error', (error) => {
+    verify.destroy(new TestStorageError(`Test data ${ref.fileId}: ${error.message}`));
+  });
+  // Readers may stop early (a program that exits without reading its input)
+  verify.once('close', () => download.destroy());
+  return download.pipe(verify);
+}
+
+// A test's input as a string (inline) or a stream (stored)
+export function openInput(testCase) {
+  const ref = storedRef(testCase, 'input');
+  return ref ? openTestData(ref) : inlineText(testCase, 'input');
+}
+
+// Full text of a test's input or expectedOutput
+export async function readTestText(testCase, field) {
+  const ref = storedRef(testCase, field);
+  if (!ref) return inlineText(testCase, field);
+
+  const chunks = [];
+  for await (const chunk of openTestData(ref)) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Write a test's input or expectedOutput to a file without holding it in memory
+export async function writeTestText(testCase, field, filePath) {
+  const ref = storedRef(testCase, field);
+  if (!ref) {
+    fs.writeFileSync(filePath, String(inlineText(testCase, field)));
+    return;
+  }
+  await pipeline(openTestData(ref), fs.createWriteStream(filePath));
+}
+
+/**
+ * Move oversized inline test data into GridFS. A test whose inline value is
+ * set (a new or edited test) replaces any stored copy; one that only has a
+ * reference keeps it.
+ */
+export async function storeTestData(problem) {
+  for (const testCase of problem.testCases) {
+    for (const [field, fileField] of Object.entries(FILE_FIELDS)) {
+      const text = testCase[field];
+      if (typeof text !== 'string') continue;
+
+      if (Buffer.byteLength(text, 'utf8') > INLINE_LIMIT_BYTES) {
+        testCase[fileField] = await upload(problem._id, field, text);
+        testCase[field] = undefined;
+      } else if (testCase[fileField]) {
+        testCase[fileField] = undefined;
+      }
+    }
+  }
+}
+
+/**
+ * Delete stored files of this problem that its tests no longer reference.
+ * A submission being judged against the previous version of the tests may
+ * still lose its data; it ends as an internal error and can be rejudged.
+ */
+export async function pruneTestData(problem) {
+  const referenced = new Set(problem.testCases.flatMap(testCase =>
+    Object.values(FILE_FIELDS).map(fileField => testCase[fileField]?.fileId).filter(Boolean).map(String)));
+
+  const files = await bucket().find({ 'metadata.problemId': problem._id }, { projection: { _id: 1 } }).toArray();
+  for (const file of files) {
+    if (!referenced.has(String(file._id))) await bucket().delete(file._id);
+  }
+}
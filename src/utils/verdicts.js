@@ -0,0 +1,58 @@
+// Verdict taxonomy shared by the runner, the judge and the Submission model
+
+// Short ICPC codes -> stored status values
+export const VERDICTS = {
+  AC: 'accepted',
+  WA: 'wrong_answer',
+  TLE: 'time_limit_exceeded',
+  MLE: 'memory_limit_exceeded',
+  OLE: 'output_limit_exceeded',
+  RE: 'runtime_error',
+  CE: 'compilation_error'
+};
+
+// Verdicts a single test case can receive (compilation happens before any test)
+export const TEST_VERDICTS = [
+  VERDICTS.AC,
+  VERDICTS.WA,
+  VERDICTS.TLE,
+  VERDICTS.MLE,
+  VERDICTS.OLE,
+  VERDICTS.RE
+];
+
+export const SUBMISSION_STATUSES = [
+  'pending',
+  'running',
+  ...Object.values(VERDICTS),
+  'internal_error'
+];
+
+const CODES = Object.fromEntries(Object.entries(VERDICTS).map(([code, status]) => [status, code]));
+
+export const verdictCode = (status) => CODES[status] || null;
+
+// Classify one finished run. Limits take precedence over how the process
+// ended, since a killed process also looks like a crash.
+export function classifyRun({ exitCode, signal, timeLimitExceeded, memoryLimitExceeded, outputLimitExceeded, passed }) {
+  if (timeLimitExceeded) return VERDICTS.TLE;
+  if (memoryLimitExceeded) return VERDICTS.MLE;
+  if (outputLimitExceeded) return VERDICTS.OLE;
+  if (exitCode !== 0 || signal) return VERDICTS.RE;
+  return passed ? VERDICTS.AC : VERDICTS.WA;
+}
+
+export function describeRuntimeError({ exitCode, signal }) {
+  if (signal) return `Killed by signal ${signal}`;
+  return `Exited with code ${exitCode}`;
+}
+
+// ICPC convention: the first failing test (in test order) decides the
+// submission's verdict. Returns the verdict and its 1-based test number.
+export function overallVerdict(testResults) {
+  const index = testResults.findIndex((result) => result.status !== VERDICTS.AC);
+  if (index === -1) {
+    return { status: VERDICTS.AC, failedTest: null };
+  }
+  return { status: testResults[index].status, failedTest: index + 1 };
+}
@@ -0,0 +1,45 @@
+import { body, param } from 'express-validator';
+import { SCORING_MODES } from '../models/Contest.js';
+
+export const contestIdRule = [
+  param('id').isMongoId().withMessage('Invalid contest id')
+];
+
+export const updateContestRules = [
+  ...contestIdRule,
+  body('title').optional()
+    .isString().withMessage('Title must be a string').bail()
+    .trim()
+    .isLength({ min: 1, max: 200 }).withMessage('Title must be 1-200 characters'),
+  body('description').optional()
+    .isString().withMessage('Description must be a string').bail()
+    .notEmpty().withMessage('Description cannot be empty'),
+  body('rules').optional().isString().withMessage('Rules must be a string'),
+  body('maxParticipants').optional()
+    .isInt({ min: 1 }).withMessage('maxParticipants must be a positive integer').toInt(),
+
+  body('problems').optional().isArray().withMessage('Problems must be an array'),
+  body('problems.*.problemId').isMongoId().withMessage('Invalid problem id'),
+  body('problems.*.order').isInt({ min: 0 }).withMessage('Problem order must be a non-negative integer').toInt(),
+  body('problems.*.points').optional().isFloat({ min: 0 }).withMessage('Problem points must be >= 0').toFloat(),
+  body('problems.*.minPoints').optional().isFloat({ min: 0 }).withMessage('Problem minPoints must be >= 0').toFloat(),
+  body('problems.*.attemptPenalty').optional()
+    .isFloat({ min: 0 }).withMessage('Problem attemptPenalty must be >= 0').toFloat(),
+
+  body('startTime').optional().isISO8601().withMessage('startTime must be an ISO 8601 date').toDate(),
+  body('duration').optional()
+    .isInt({ min: 60000 }).withMessage('Duration must be at least 60000 ms').toInt(),
+  body('freezeDuration').optional()
+    .isInt({ min: 0 }).withMessage('freezeDuration must be >= 0 ms').toInt(),
+  body('scoringMode').optional()
+    .isIn(SCORING_MODES).withMessage(`Scoring mode must be one of: ${SCORING_MODES.join(', ')}`),
+  body('penaltyMinutes').optional()
+    .isInt({ min: 0 }).withMessage('penaltyMinutes must be a non-negative integer').toInt(),
+
+  // Publish / unpublish; later states are reached by the scheduler
+  body('status').optional()
+    .isIn(['draft', 'scheduled']).withMessage('Status can only be set to draft or scheduled'),
+  // Explicit admin extension of a running contest
+  body('extendBy').optional()
+    .isInt({ min: 1 }).withMessage('extendBy must be a positive number of milliseconds').toInt()
+];
@@ -0,0 +1,148 @@
+import { body, matchedData, param, validationResult } from 'express-validator';
+import { CHECKER_INTERFACE_NAMES, CHECKER_TYPES } from '../utils/checkers.js';
+import { SUPPORTED_LANGUAGES } from '../utils/codeRunner.js';
+import { VERDICTS } from '../utils/verdicts.js';
+
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+const EXPECTED_VERDICTS = Object.values(VERDICTS);
+
+// Object whose keys are supported languages and whose values are code strings
+const isLanguageMap = (value) => {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error('Must be an object keyed by language');
+  }
+  for (const [lang, code] of Object.entries(value)) {
+    if (!SUPPORTED_LANGUAGES.includes(lang)) {
+      throw new Error(`Unsupported language: ${lang}`);
+    }
+    if (typeof code !== 'string') {
+      throw new Error(`Code for ${lang} must be a string`);
+    }
+  }
+  return true;
+};
+
+// Shared rules for create (all required fields enforced) and update (every field optional)
+const problemRules = ({ partial }) => {
+  const required = (chain) => (partial ? chain.optional() : chain);
+
+  return [
+    required(body('title'))
+      .isString().withMessage('Title must be a string').bail()
+      .trim()
+      .isLength({ min: 1, max: 200 }).withMessage('Title must be 1-200 characters'),
+    required(body('description'))
+      .isString().withMessage('Description must be a string').bail()
+      .notEmpty().withMessage('Description is required'),
+    required(body('difficulty'))
+      .isIn(DIFFICULTIES).withMessage(`Difficulty must be one of: ${DIFFICULTIES.join(', ')}`),
+
+    body('tags').optional().isArray().withMessage('Tags must be an array'),
+    body('tags.*').isString().withMessage('Each tag must be a string').trim(),
+    body('constraints').optional().isArray().withMessage('Constraints must be an array'),
+    body('constraints.*').isString().withMessage('Each constraint must be a string'),
+    body('hints').optional().isArray().withMessage('Hints must be an array'),
+    body('hints.*').isString().withMessage('Each hint must be a string'),
+
+    body('examples').optional().isArray().withMessage('Examples must be an array'),
+    body('examples.*.input').isString().withMessage('Example input must be a string'),
+    body('examples.*.output').isString().withMessage('Example output must be a string'),
+    body('examples.*.explanation').optional().isString().withMessage('Example explanation must be a string'),
+
+    body('codeTemplates').optional().custom(isLanguageMap),
+    body('harshnessCode').optional().custom((value) => typeof value === 'string' || isLanguageMap(value))
+      .withMessage('Harness code must be a string or an object keyed by language'),
+
+    body('testCases').optional().isArray().withMessage('Test cases must be an array'),
+    // Generated tests get their input and expected output when the problem is
+    // saved; stored ones may be sent back with just their file references
+    body('testCases.*')
+      .custom((tc) => Boolean(tc?.generator)
+        || ((tc?.input !== undefined || tc?.inputFile) && (tc?.expectedOutput !== undefined || tc?.outputFile)))
+      .withMessage('Each test case needs an input and expectedOutput, or generator arguments'),
+    body('testCases.*.input').optional().isString().withMessage('Test case input must be a string'),
+    body('testCases.*.expectedOutput').optional().isString().withMessage('Test case expected output must be a string'),
+    body('testCases.*.generator').optional().isObject().withMessage('Test case generator must be an object'),
+    body('testCases.*.generator.args').optional().isArray().withMessage('Generator args must be an array'),
+    body('testCases.*.generator.args.*').isString().withMessage('Each generator argument must be a string'),
+    body('testCases.*.generator.seed').optional().isInt().withMessage('Generator seed must be an integer').toInt(),
+    body('testCases.*.isHidden').optional().isBoolean().withMessage('isHidden must be a boolean').toBoolean(),
+    body('testCases.*.points').optional().isFloat({ min: 0 }).withMessage('Test case points must be >= 0').toFloat(),
+
+    body('timeLimit').optional()
+      .isInt({ min: 100, max: 20000 }).withMessage('Time limit must be 100-20000 ms').toInt(),
+    body('memoryLimit').optional()
+      .isInt({ min: 16, max: 2048 }).withMessage('Memory limit must be 16-2048 MB').toInt(),
+    body('points').optional().isFloat({ min: 0 }).withMessage('Points must be >= 0').toFloat(),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean(),
+
+    body('checker').optional()
+      .isObject().withMessage('Checker must be an object').bail()
+      .custom((checker) => checker.type !== 'custom' || (checker.language && checker.code))
+      .withMessage('Custom checker needs a language and code'),
+    body('checker.type').optional()
+      .isIn(CHECKER_TYPES).withMessage(`Checker type must be one of: ${CHECKER_TYPES.join(', ')}`),
+    body('checker.absoluteError').optional().isFloat({ min: 0 }).withMessage('absoluteError must be >= 0').toFloat(),
+    body('checker.relativeError').optional().isFloat({ min: 0 }).withMessage('relativeError must be >= 0').toFloat(),
+    body('checker.caseInsensitive').optional()
+      .isBoolean().withMessage('caseInsensitive must be a boolean').toBoolean(),
+    body('checker.language').optional()
+      .isIn(SUPPORTED_LANGUAGES).withMessage(`Checker language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`),
+    body('checker.code').optional().isString().withMessage('Checker code must be a string'),
+    body('checker.interface').optional()
+      .isIn(CHECKER_INTERFACE_NAMES).withMessage(`Checker interface must be one of: ${CHECKER_INTERFACE_NAMES.join(', ')}`),
+
+    body('generator').optional({ values: 'null' })
+      .isObject().withMessage('Generator must be an object').bail()
+      .custom((generator) => generator.language && generator.code)
+      .withMessage('Generator needs a language and code'),
+    body('generator.language').optional()
+      .isIn(SUPPORTED_LANGUAGES).withMessage(`Generator language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`),
+    body('generator.code').optional().isString().withMessage('Generator code must be a string'),
+
+    body('inputValidator').optional({ values: 'null' })
+      .isObject().withMessage('Input validator must be an object').bail()
+      .custom((validator) => validator.language && validator.code)
+      .withMessage('Input validator needs a language and code'),
+    body('inputValidator.language').optional()
+      .isIn(SUPPORTED_LANGUAGES).withMessage(`Input validator language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`),
+    body('inputValidator.code').optional().isString().withMessage('Input validator code must be a string'),
+    body('inputValidator.interface').optional()
+      .isIn(CHECKER_INTERFACE_NAMES).withMessage(`Input validator interface must be one of: ${CHECKER_INTERFACE_NAMES.join(', ')}`),
+
+    body('referenceSolutions').optional().isArray().withMessage('Reference solutions must be an array'),
+    body('referenceSolutions.*.name')
+      .isString().withMessage('Reference solution name must be a string').bail()
+      .trim()
+      .notEmpty().withMessage('Reference solution name is required'),
+    body('referenceSolutions.*.language')
+      .isIn(SUPPORTED_LANGUAGES).withMessage(`Reference solution language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`),
+    body('referenceSolutions.*.code')
+      .isString().withMessage('Reference solution code must be a string').bail()
+      .notEmpty().withMessage('Reference solution code is required'),
+    body('referenceSolutions.*.expectedVerdict').optional()
+      .isIn(EXPECTED_VERDICTS).withMessage(`Expected verdict must be one of: ${EXPECTED_VERDICTS.join(', ')}`)
+  ];
+};
+
+export const problemIdRule = [
+  param('id').isMongoId().withMessage('Invalid problem id')
+];
+
+export const createProblemRules = problemRules({ partial: false });
+
+export const updateProblemRules = [...problemIdRule, ...problemRules({ partial: true })];
+
+// Apply the create rules outside a request (package imports, CLI). Returns
+// the failures in the same shape as the validate middleware, plus the
+// sanitized fields.
+export async function validateProblemFields(fields) {
+  const req = { body: fields };
+  for (const rule of createProblemRules) {
+    await rule.run(req);
+  }
+  return {
+    errors: validationResult(req).array().map(err => ({ field: err.path, message: err.msg })),
+    data: matchedData(req, { locations: ['body'] })
+  };
+}
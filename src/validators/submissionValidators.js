@@ -0,0 +1,31 @@
+import { body, param, query } from 'express-validator';
+import { SUPPORTED_LANGUAGES } from '../utils/codeRunner.js';
+import { SUBMISSION_STATUSES } from '../utils/verdicts.js';
+
+const MAX_RUN_INPUT_BYTES = 64 * 1024;
+
+export const submissionIdRule = [
+  param('id').isMongoId().withMessage('Invalid submission id')
+];
+
+// Filters are compared against stored values, so only plain strings get through
+export const contestSubmissionsRules = [
+  param('contestId').isMongoId().withMessage('Invalid contest id'),
+  query('problemId', 'Invalid problem id').optional().isString().bail().isMongoId(),
+  query('status', `Status must be one of: ${SUBMISSION_STATUSES.join(', ')}`).optional()
+    .isString().bail()
+    .isIn(SUBMISSION_STATUSES)
+];
+
+// Without `input` the code runs against the problem's public examples
+export const runRules = [
+  body('problemId').isMongoId().withMessage('Invalid problem id'),
+  body('language')
+    .isIn(SUPPORTED_LANGUAGES).withMessage(`Language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`),
+  body('code')
+    .isString().withMessage('Code must be a string').bail()
+    .notEmpty().withMessage('Code is required'),
+  body('input').optional()
+    .isString().withMessage('Input must be a string').bail()
+    .isLength({ max: MAX_RUN_INPUT_BYTES }).withMessage(`Input cannot exceed ${MAX_RUN_INPUT_BYTES} characters`)
+];
@@ -0,0 +1,109 @@
+import { jest } from '@jest/globals';
+import { CheckerError, prepareChecker } from '../src/utils/checkers.js';
+
+const run = async (config, output, expectedOutput) => {
+  const checker = await prepareChecker(config, null);
+  return checker.check({ testCase: { input: '', expectedOutput }, output });
+};
+
+describe('exact checker', () => {
+  test('is the default', async () => {
+    expect(await run(undefined, '1 2\n', '1 2\n')).toEqual({ passed: true, message: '' });
+    expect((await run(undefined, '1  2\n', '1 2\n')).passed).toBe(false);
+  });
+
+  test('ignores trailing whitespace and trailing blank lines', async () => {
+    expect((await run({ type: 'exact' }, 'a  \nb\t\n\n\n', 'a\nb')).passed).toBe(true);
+  });
+
+  test('reports the first differing line', async () => {
+    expect(await run({ type: 'exact' }, 'a\nx\nc\n', 'a\nb\nc\n'))
+      .toEqual({ passed: false, message: 'Line 2 differs' });
+  });
+
+  test('reports a missing line', async () => {
+    expect(await run({ type: 'exact' }, 'a\n', 'a\nb\n'))
+      .toEqual({ passed: false, message: 'Expected 2 line(s), found 1' });
+  });
+
+  test('ignores case only when asked to', async () => {
+    expect((await run({ type: 'exact' }, 'Hello World\n', 'hello world\n')).passed).toBe(false);
+    expect((await run({ type: 'exact', caseInsensitive: true }, 'Hello World\n', 'hello world\n')).passed).toBe(true);
+    expect((await run({ type: 'exact', caseInsensitive: true }, 'Hello  World\n', 'hello world\n')).passed).toBe(false);
+  });
+});
+
+describe('tokens checker', () => {
+  test('ignores how tokens are separated', async () => {
+    expect((await run({ type: 'tokens' }, '1\n2   3', '1 2 3\n')).passed).toBe(true);
+  });
+
+  test('names the differing token', async () => {
+    expect(await run({ type: 'tokens' }, '1 5 3', '1 2 3'))
+      .toEqual({ passed: false, message: 'Token 2 differs: expected "2", found "5"' });
+  });
+
+  test('ignores case only when asked to', async () => {
+    expect((await run({ type: 'tokens' }, 'YES', 'yes')).passed).toBe(false);
+    expect((await run({ type: 'tokens', caseInsensitive: true }, 'YES\nNo', 'yes no')).passed).toBe(true);
+    expect((await run({ type: 'tokens', caseInsensitive: true }, 'YES', 'no')).passed).toBe(false);
+  });
+});
+
+describe('float checker', () => {
+  test('accepts values within the absolute or relative error', async () => {
+    const config = { type: 'float', absoluteError: 1e-3, relativeError: 1e-6 };
+    expect((await run(config, '0.1004', '0.1')).passed).toBe(true);
+    expect((await run(config, '1000000.5', '1000000')).passed).toBe(true);
+    expect((await run(config, '0.102', '0.1')).passed).toBe(false);
+  });
+
+  test('defaults to an error of 1e-6', async () => {
+    expect((await run({ type: 'float' }, '3.1415930', '3.1415926')).passed).toBe(true);
+    expect((await run({ type: 'float' }, '3.1416', '3.1415926')).passed).toBe(false);
+  });
+
+  test('compares non-numeric tokens exactly', async () => {
+    expect((await run({ type: 'float' }, 'YES 1.0', 'YES 1')).passed).toBe(true);
+    expect((await run({ type: 'float' }, 'yes 1', 'YES 1')).passed).toBe(false);
+    expect((await run({ type: 'float' }, 'nan', '1')).passed).toBe(false);
+    expect((await run({ type: 'float', caseInsensitive: true }, 'yes 1', 'YES 1')).passed).toBe(true);
+  });
+});
+
+describe('unordered_lines checker', () => {
+  test('accepts the same lines in any order', async () => {
+    expect((await run({ type: 'unordered_lines' }, 'b\na\nc\n', 'a\nb\nc')).passed).toBe(true);
+  });
+
+  test('counts repeated lines', async () => {
+    expect(await run({ type: 'unordered_lines' }, 'a\na\nb', 'a\nb\nb'))
+      .toEqual({ passed: false, message: 'Lines differ' });
+  });
+});
+
+describe('prepareChecker', () => {
+  test('rejects an unknown checker type', async () => {
+    await expect(prepareChecker({ type: 'fuzzy' }, null)).rejects.toThrow(CheckerError);
+  });
+
+  test('releases a custom checker whose interface is unknown', async () => {
+    const program = { workDir: '/nonexistent' };
+    const runner = { prepare: jest.fn(async () => program), release: jest.fn() };
+
+    await expect(prepareChecker({ type: 'custom', language: 'python', code: '', interface: 'icpc' }, runner))
+      .rejects.toThrow('Unknown checker interface: icpc');
+    expect(runner.release).toHaveBeenCalledWith(program);
+  });
+
+  test('reports a custom checker that fails to build', async () => {
+    const failure = Object.assign(new Error('Compilation failed'), {
+      name: 'CompilationError',
+      compileOutput: 'checker.cpp:1: error'
+    });
+    const runner = { prepare: jest.fn(async () => { throw failure; }), release: jest.fn() };
+
+    await expect(prepareChecker({ type: 'custom', language: 'cpp', code: 'x' }, runner))
+      .rejects.toThrow('Checker failed to build: checker.cpp:1: error');
+  });
+});
@@ -0,0 +1,130 @@
+import { jest } from '@jest/globals';
+
+// The sandbox is replaced by canned results; these specs cover how the runner
+// turns a finished run into a verdict
+const runSandboxed = jest.fn();
+const removeWorkDir = jest.fn();
+class SandboxUnavailableError extends Error {}
+jest.unstable_mockModule('../src/utils/sandbox.js', () => ({
+  SandboxUnavailableError,
+  createWorkDir: () => '/tmp/judge-spec',
+  removeWorkDir,
+  runSandboxed
+}));
+jest.unstable_mockModule('fs', () => ({ default: { writeFileSync: () => {} } }));
+
+const { CodeRunner, CompilationError } = await import('../src/utils/codeRunner.js');
+const { VERDICTS } = await import('../src/utils/verdicts.js');
+
+const finished = (fields = {}) => ({
+  stdout: '3\n',
+  stderr: '',
+  exitCode: 0,
+  signal: null,
+  timedOut: false,
+  outputLimitExceeded: false,
+  wallTime: 30,
+  cpuTime: 20,
+  peakMemoryKb: 4096,
+  ...fields
+});
+
+const judge = async (language, result, options = {}) => {
+  runSandboxed.mockResolvedValue(result);
+  if (language === 'cpp') runSandboxed.mockResolvedValueOnce(finished()); // the build
+  const [outcome] = await new CodeRunner().runCode('code', language, [{ input: '1 2', expectedOutput: '3' }], {
+    timeLimit: 1000,
+    memoryLimit: 64,
+    ...options
+  });
+  return outcome;
+};
+
+beforeEach(() => {
+  runSandboxed.mockReset();
+  removeWorkDir.mockClear();
+});
+
+describe('verdicts from a finished run', () => {
+  test('accepts matching output and reports the measured resources', async () => {
+    expect(await judge('python', finished())).toMatchObject({
+      passed: true, status: VERDICTS.AC, executionTime: 20, wallTime: 30, memoryUsed: 4096, output: '3\n'
+    });
+  });
+
+  test('runs the checker on clean runs only', async () => {
+    expect((await judge('python', finished({ stdout: '4\n' }))).status).toBe(VERDICTS.WA);
+    expect((await judge('python', finished({ stdout: '4\n', exitCode: 1 }))).status).toBe(VERDICTS.RE);
+  });
+
+  test('judges time on CPU time, not wall time', async () => {
+    expect((await judge('python', finished({ cpuTime: 1001 }))).status).toBe(VERDICTS.TLE);
+    expect((await judge('python', finished({ cpuTime: 900, wallTime: 1900 }))).status).toBe(VERDICTS.AC);
+    expect((await judge('python', finished({ timedOut: true, exitCode: null, signal: 'SIGKILL' }))).status).toBe(VERDICTS.TLE);
+  });
+
+  test('judges memory on peak RSS', async () => {
+    const outcome = await judge('python', finished({ peakMemoryKb: 64 * 1024 + 1 }));
+    expect(outcome).toMatchObject({ status: VERDICTS.MLE, memoryUsed: 64 * 1024 + 1 });
+  });
+
+  test('recognises the runtime reporting an allocation failure', async () => {
+    const crashed = finished({ exitCode: null, signal: 'SIGABRT', stderr: "terminate called after throwing an instance of 'std::bad_alloc'" });
+    expect((await judge('cpp', crashed)).status).toBe(VERDICTS.MLE);
+    expect((await judge('python', crashed)).status).toBe(VERDICTS.RE);
+  });
+
+  test('drops the output of a run over the output limit', async () => {
+    const outcome = await judge('python', finished({ outputLimitExceeded: true, exitCode: null, signal: 'SIGKILL' }));
+    expect(outcome).toMatchObject({ status: VERDICTS.OLE, output: '', error: 'Output limit exceeded' });
+  });
+
+  test('describes how a crashed run ended', async () => {
+    const outcome = await judge('python', finished({ exitCode: null, signal: 'SIGSEGV', stderr: 'core dumped' }));
+    expect(outcome).toMatchObject({ status: VERDICTS.RE, error: 'Killed by signal SIGSEGV\ncore dumped' });
+  });
+
+  test('fails the whole run instead of judging on an unisolated host', async () => {
+    runSandboxed.mockRejectedValue(new SandboxUnavailableError('Sandbox unavailable'));
+    await expect(new CodeRunner().runCode('print(3)', 'python', [{ input: '1 2', expectedOutput: '3' }]))
+      .rejects.toBeInstanceOf(SandboxUnavailableError);
+    expect(removeWorkDir).toHaveBeenCalledWith('/tmp/judge-spec');
+  });
+
+  test('passes the limits to the sandbox, with a heap flag for managed runtimes', async () => {
+    await judge('javascript', finished());
+    expect(runSandboxed).toHaveBeenCalledWith(expect.objectContaining({
+      command: 'node',
+      args: ['--max-old-space-size=64', 'main.js'],
+      timeLimitMs: 1000,
+      memoryLimitMb: 64,
+      limitAddressSpace: false
+    }));
+  });
+});
+
+describe('compilation', () => {
+  test('raises a CompilationError with the compiler output and cleans up', async () => {
+    runSandboxed.mockResolvedValueOnce(finished({ exitCode: 1, stderr: 'main.cpp:1: error: expected' }));
+
+    const failure = new CodeRunner().runCode('int main(', 'cpp', [{ input: '', expectedOutput: '' }]);
+    await expect(failure).rejects.toBeInstanceOf(CompilationError);
+    await expect(failure).rejects.toMatchObject({ compileOutput: 'main.cpp:1: error: expected' });
+    expect(removeWorkDir).toHaveBeenCalledWith('/tmp/judge-spec');
+  });
+
+  test('reports a compiler that ran out of time', async () => {
+    runSandboxed.mockResolvedValueOnce(finished({ timedOut: true, exitCode: null, signal: 'SIGKILL' }));
+    await expect(new CodeRunner().prepare('int main() {}', 'cpp'))
+      .rejects.toMatchObject({ compileOutput: 'Compilation timed out' });
+  });
+
+  test('compiles once for every test case', async () => {
+    runSandboxed.mockResolvedValue(finished());
+    await new CodeRunner().runCode('int main() {}', 'cpp', [
+      { input: '1 2', expectedOutput: '3' },
+      { input: '1 2', expectedOutput: '3' }
+    ]);
+    expect(runSandboxed.mock.calls.map(([options]) => options.command)).toEqual(['g++', './main', './main']);
+  });
+});
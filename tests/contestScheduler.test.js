@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+
+const finalizeStandings = jest.fn(async () => {});
+jest.unstable_mockModule('../src/utils/finalization.js', () => ({ finalizeStandings }));
+
+const { default: Contest } = await import('../src/models/Contest.js');
+const { default: Submission } = await import('../src/models/Submission.js');
+const { ContestScheduler, backfillContestStatus, transition } = await import('../src/utils/contestScheduler.js');
+
+const MINUTE = 60 * 1000;
+
+const makeContest = (status, startOffsetMinutes) => {
+  const startTime = new Date(Date.now() + startOffsetMinutes * MINUTE);
+  return new Contest({
+    title: 'Round',
+    description: 'Test round',
+    startTime,
+    duration: 60 * MINUTE,
+    endTime: new Date(startTime.getTime() + 60 * MINUTE),
+    status
+  });
+};
+
+// Contest.find answers the scheduler's two queries: contests on the clock,
+// then finalized contests without a snapshot
+const mockFind = (active, unrecorded = []) => jest.spyOn(Contest, 'find')
+  .mockImplementation(async (filter) => (filter.status === 'finalized' ? unrecorded : active));
+
+// The guarded update succeeds unless `lost` says someone else moved it first
+const mockTransitions = ({ lost = false } = {}) => jest.spyOn(Contest, 'findOneAndUpdate')
+  .mockImplementation(async (filter, update) => (lost ? null : { ...update.$set }));
+
+beforeEach(() => {
+  finalizeStandings.mockClear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(Contest, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('backfillContestStatus', () => {
+  test('turns deactivated legacy contests into drafts and schedules the rest', async () => {
+    Contest.updateMany
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 2 });
+
+    await backfillContestStatus();
+
+    expect(Contest.updateMany.mock.calls).toEqual([
+      [{ status: { $exists: false }, isActive: false }, { $set: { status: 'draft' } }],
+      [{ status: { $exists: false } }, { $set: { status: 'scheduled' } }]
+    ]);
+  });
+});
+
+describe('transition', () => {
+  test('moves the contest and mirrors the legacy flags', async () => {
+    const update = mockTransitions();
+    const contest = makeContest('scheduled', -5);
+
+    expect(await transition(contest, 'running')).toBe(true);
+    expect(update.mock.calls[0][0]).toEqual({ _id: contest._id, status: 'scheduled' });
+    expect(contest).toMatchObject({ status: 'running', isLive: true, isActive: true });
+  });
+
+  test('gives up when the status changed underneath it', async () => {
+    mockTransitions({ lost: true });
+    const contest = makeContest('scheduled', -5);
+
+    expect(await transition(contest, 'running')).toBe(false);
+    expect(contest.status).toBe('scheduled');
+  });
+});
+
+describe('ContestScheduler.tick', () => {
+  test('backfills legacy contests on the first tick only', async () => {
+    mockFind([]);
+    const scheduler = new ContestScheduler();
+
+    await scheduler.tick();
+    await scheduler.tick();
+
+    expect(Contest.updateMany).toHaveBeenCalledTimes(2);
+  });
+
+  test('moves contests to the status their times call for', async () => {
+    mockFind([makeContest('scheduled', -5), makeContest('scheduled', 30)]);
+    const update = mockTransitions();
+
+    await new ContestScheduler().tick();
+
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(update.mock.calls[0][1].$set.status).toBe('running');
+  });
+
+  test('finalizes an ended contest once every submission is judged', async () => {
+    const contest = makeContest('ended', -120);
+    mockFind([contest]);
+    mockTransitions();
+    jest.spyOn(Submission, 'exists').mockResolvedValue(null);
+
+    await new ContestScheduler().tick();
+
+    expect(contest.status).toBe('finalized');
+    expect(finalizeStandings).toHaveBeenCalledWith(contest);
+  });
+
+  test('waits for the judge before finalizing', async () => {
+    const contest = makeContest('ended', -120);
+    mockFind([contest]);
+    const update = mockTransitions();
+    jest.spyOn(Submission, 'exists').mockResolvedValue({ _id: 'pending' });
+
+    await new ContestScheduler().tick();
+
+    expect(update).not.toHaveBeenCalled();
+    expect(finalizeStandings).not.toHaveBeenCalled();
+  });
+
+  test('records standings that a restart left unwritten', async () => {
+    const unrecorded = makeContest('finalized', -120);
+    mockFind([], [unrecorded]);
+
+    await new ContestScheduler().tick();
+
+    expect(finalizeStandings).toHaveBeenCalledWith(unrecorded);
+  });
+});
@@ -0,0 +1,68 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Submission from '../src/models/Submission.js';
+import { getContestSubmissions } from '../src/controllers/submissionController.js';
+import { validate } from '../src/middleware/validate.js';
+import { contestSubmissionsRules } from '../src/validators/submissionValidators.js';
+
+const contestId = String(new mongoose.Types.ObjectId());
+const problemId = String(new mongoose.Types.ObjectId());
+const userId = String(new mongoose.Types.ObjectId());
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Runs the route: validation rules, then the controller
+const call = async (query, params = { contestId }) => {
+  const req = { params, query, user: { id: userId } };
+  for (const rule of contestSubmissionsRules) await rule.run(req);
+  const res = mockResponse();
+  let handled = false;
+  validate(req, res, () => {
+    handled = true;
+  });
+  if (handled) await getContestSubmissions(req, res);
+  return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+};
+
+let find;
+
+beforeEach(() => {
+  const chain = { select: () => chain, populate: () => chain, sort: () => chain, skip: () => chain, limit: async () => [] };
+  find = jest.spyOn(Submission, 'find').mockReturnValue(chain);
+  jest.spyOn(Submission, 'countDocuments').mockResolvedValue(0);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('getContestSubmissions', () => {
+  test('filters the caller\'s submissions by problem and status', async () => {
+    const { status } = await call({ problemId, status: 'wrong_answer' });
+
+    expect(status).toBe(200);
+    expect(find).toHaveBeenCalledWith({ userId, contestId, problemId, status: 'wrong_answer' });
+  });
+
+  test('rejects malformed ids with a 400', async () => {
+    const { status, body } = await call({ problemId: 'abc' }, { contestId: 'nope' });
+
+    expect(status).toBe(400);
+    expect(body.errors.map(err => [err.field, err.message])).toEqual([
+      ['contestId', 'Invalid contest id'],
+      ['problemId', 'Invalid problem id']
+    ]);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  test('rejects query operators and unknown statuses', async () => {
+    for (const query of [{ status: { $ne: 'x' } }, { status: 'bogus' }, { problemId: { $gt: '' } }, { status: ['accepted'] }]) {
+      const { status } = await call(query);
+      expect(status).toBe(400);
+    }
+    expect(find).not.toHaveBeenCalled();
+  });
+});
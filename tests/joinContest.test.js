@@ -0,0 +1,53 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Contest from '../src/models/Contest.js';
+import ContestResult from '../src/models/ContestResult.js';
+import Problem from '../src/models/Problem.js';
+import { joinContest } from '../src/controllers/contestController.js';
+
+const contestId = new mongoose.Types.ObjectId();
+const problemId = new mongoose.Types.ObjectId();
+const hour = 60 * 60 * 1000;
+
+const makeContest = (scoringMode) => ({
+  _id: contestId,
+  status: 'active',
+  scoringMode,
+  startTime: new Date(Date.now() - hour),
+  endTime: new Date(Date.now() + hour),
+  problems: [{ problemId, order: 1, points: 500 }]
+});
+
+const join = async (contest) => {
+  jest.spyOn(Contest, 'findById').mockResolvedValue(contest);
+  const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+  await joinContest({ params: { id: String(contestId) }, user: { id: String(new mongoose.Types.ObjectId()), name: 'Ada' } }, res);
+  return res;
+};
+
+let create;
+
+beforeEach(() => {
+  jest.spyOn(ContestResult, 'findOne').mockResolvedValue(null);
+  jest.spyOn(Problem, 'find').mockResolvedValue([{ _id: problemId, testCases: [{ points: 10 }, { points: 20 }] }]);
+  create = jest.spyOn(ContestResult, 'create').mockImplementation(async (doc) => doc);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('joinContest', () => {
+  test('starts a dynamic contest at the entry points, as the judge does', async () => {
+    const res = await join(makeContest('dynamic'));
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(create.mock.calls[0][0].problemResults).toEqual([
+      { problemId, maxScore: 500, status: 'not_attempted' }
+    ]);
+  });
+
+  test('takes the maximum from the test points otherwise', async () => {
+    await join(makeContest('partial'));
+
+    expect(create.mock.calls[0][0].problemResults[0].maxScore).toBe(30);
+  });
+});
@@ -0,0 +1,204 @@
+import { jest } from '@jest/globals';
+
+const judgeSubmission = jest.fn();
+const updateContestResult = jest.fn(async () => {});
+jest.unstable_mockModule('../src/utils/judge.js', () => ({ judgeSubmission, updateContestResult }));
+const sandbox = await import('../src/utils/sandbox.js');
+const assertSandboxReady = jest.fn();
+jest.unstable_mockModule('../src/utils/sandbox.js', () => ({
+  ...sandbox,
+  assertSandboxReady
+}));
+
+const { default: mongoose } = await import('mongoose');
+const { default: RejudgeBatch } = await import('../src/models/RejudgeBatch.js');
+const { default: Submission } = await import('../src/models/Submission.js');
+const { JudgeQueue } = await import('../src/utils/judgeQueue.js');
+
+const makeSubmission = (fields = {}) => new Submission({
+  userId: new mongoose.Types.ObjectId(),
+  contestId: new mongoose.Types.ObjectId(),
+  problemId: new mongoose.Types.ObjectId(),
+  code: 'print(1)',
+  language: 'python',
+  ...fields
+});
+
+beforeEach(() => {
+  judgeSubmission.mockReset();
+  updateContestResult.mockClear();
+  assertSandboxReady.mockReset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('claimNext', () => {
+  test('claims the oldest pending submission first', async () => {
+    const pending = makeSubmission({ status: 'running' });
+    const claim = jest.spyOn(Submission, 'findOneAndUpdate').mockResolvedValue(pending);
+
+    expect(await new JudgeQueue().claimNext()).toBe(pending);
+    expect(claim).toHaveBeenCalledTimes(1);
+    expect(claim).toHaveBeenCalledWith(
+      { status: 'pending' },
+      { $set: { status: 'running' } },
+      { sort: { submittedAt: 1 }, new: true }
+    );
+  });
+
+  test('claims the oldest queued rejudge once no submission is pending, keeping its verdict', async () => {
+    const rejudged = makeSubmission({ status: 'accepted' });
+    const claim = jest.spyOn(Submission, 'findOneAndUpdate')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(rejudged);
+
+    expect(await new JudgeQueue().claimNext()).toBe(rejudged);
+    expect(claim).toHaveBeenLastCalledWith(
+      { 'rejudge.state': 'queued' },
+      { $set: { 'rejudge.state': 'running' } },
+      { sort: { 'rejudge.requestedAt': 1 }, new: true }
+    );
+  });
+});
+
+describe('start', () => {
+  test('requeues submissions and rejudges a restart interrupted', async () => {
+    const requeue = jest.spyOn(Submission, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Submission, 'findOneAndUpdate').mockResolvedValue(null);
+    const queue = new JudgeQueue({ pollInterval: 60000 });
+
+    await queue.start();
+    queue.stop();
+
+    expect(requeue).toHaveBeenCalledWith({ status: 'running' }, { $set: { status: 'pending' } });
+    expect(requeue).toHaveBeenCalledWith({ 'rejudge.state': 'running' }, { $set: { 'rejudge.state': 'queued' } });
+  });
+
+  test('refuses to start without a working sandbox', async () => {
+    assertSandboxReady.mockImplementation(() => {
+      throw new Error('Sandbox unavailable: no filesystem on this host');
+    });
+    const requeue = jest.spyOn(Submission, 'updateMany');
+    const claim = jest.spyOn(Submission, 'findOneAndUpdate');
+    const queue = new JudgeQueue({ pollInterval: 60000 });
+
+    await expect(queue.start()).rejects.toThrow('Sandbox unavailable');
+
+    expect(queue.started).toBe(false);
+    expect(requeue).not.toHaveBeenCalled();
+    expect(claim).not.toHaveBeenCalled();
+  });
+});
+
+describe('process', () => {
+  test('records an internal error when judging throws', async () => {
+    judgeSubmission.mockRejectedValue(new Error('checker crashed'));
+    const write = jest.spyOn(Submission, 'updateOne').mockResolvedValue({});
+    const submission = makeSubmission({ status: 'running' });
+
+    await new JudgeQueue().process(submission);
+
+    expect(write).toHaveBeenCalledWith({ _id: submission._id }, {
+      $set: expect.objectContaining({ status: 'internal_error', error: 'checker crashed', score: 0 })
+    });
+    expect(updateContestResult).not.toHaveBeenCalled();
+  });
+
+  test('settles a failed rejudge and rebuilds the contest result', async () => {
+    judgeSubmission.mockRejectedValue(new Error('checker crashed'));
+    const write = jest.spyOn(Submission, 'updateOne').mockResolvedValue({});
+    jest.spyOn(RejudgeBatch, 'findByIdAndUpdate').mockResolvedValue(null);
+    const submission = makeSubmission({
+      status: 'accepted',
+      score: 100,
+      rejudge: { batchId: new mongoose.Types.ObjectId(), state: 'running', before: { status: 'accepted', score: 100 } }
+    });
+
+    await new JudgeQueue().process(submission);
+
+    const [, update] = write.mock.calls[0];
+    expect(update.$unset).toEqual({ rejudge: 1 });
+    expect(update.$set.rejudgeHistory).toHaveLength(1);
+    expect(update.$set.rejudgeHistory[0]).toMatchObject({
+      before: { status: 'accepted', score: 100 },
+      after: { status: 'internal_error', score: 0 }
+    });
+    expect(updateContestResult).toHaveBeenCalledWith(submission.userId, submission.contestId, { includeLocked: true, submission });
+  });
+});
+
+describe('runExclusive', () => {
+  // A task that runs until its returned finish() is called
+  const blocker = () => {
+    let finish;
+    const done = new Promise(resolve => { finish = resolve; });
+    const task = jest.fn(() => done);
+    return { task, finish };
+  };
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  test('runs straight away while a slot is free', async () => {
+    const queue = new JudgeQueue({ concurrency: 2 });
+    expect(await queue.runExclusive(async () => 'ran')).toBe('ran');
+  });
+
+  test('waits for a slot and serves waiting runs in order', async () => {
+    const queue = new JudgeQueue({ concurrency: 1 });
+    const first = blocker();
+    const order = [];
+
+    const running = queue.runExclusive(first.task);
+    const second = queue.runExclusive(async () => order.push('second'));
+    const third = queue.runExclusive(async () => order.push('third'));
+    await flush();
+    expect(order).toEqual([]);
+
+    first.finish();
+    await Promise.all([running, second, third]);
+    expect(order).toEqual(['second', 'third']);
+  });
+
+  test('refuses a run once too many are waiting', async () => {
+    const queue = new JudgeQueue({ concurrency: 1, maxWaitingRuns: 1 });
+    const first = blocker();
+
+    const running = queue.runExclusive(first.task);
+    const waiting = queue.runExclusive(async () => 'waited');
+    await expect(queue.runExclusive(async () => 'refused')).rejects.toThrow('The judge is busy');
+
+    first.finish();
+    await running;
+    expect(await waiting).toBe('waited');
+  });
+
+  test('frees the slot when the run fails', async () => {
+    const queue = new JudgeQueue({ concurrency: 1, maxWaitingRuns: 1 });
+    await expect(queue.runExclusive(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    expect(await queue.runExclusive(async () => 'next')).toBe('next');
+  });
+
+  test('shares its slots with submissions being judged', async () => {
+    const queue = new JudgeQueue({ concurrency: 1, maxWaitingRuns: 1, pollInterval: 60000 });
+    const judging = blocker();
+    judgeSubmission.mockImplementationOnce(judging.task);
+    jest.spyOn(Submission, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Submission, 'findOneAndUpdate')
+      .mockResolvedValueOnce(makeSubmission({ status: 'running' }))
+      .mockResolvedValue(null);
+
+    await queue.start();
+    await flush();
+    expect(judgeSubmission).toHaveBeenCalledTimes(1);
+
+    const run = jest.fn(async () => 'ran');
+    const waiting = queue.runExclusive(run);
+    await flush();
+    expect(run).not.toHaveBeenCalled();
+
+    judging.finish();
+    expect(await waiting).toBe('ran');
+    queue.stop();
+  });
+});
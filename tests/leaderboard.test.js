@@ -0,0 +1,145 @@
+import { jest } from '@jest/globals';
+import ContestResult from '../src/models/ContestResult.js';
+import Submission from '../src/models/Submission.js';
+import {
+  getStandingsAround, getStandingsPage, invalidateFrozenStandings, showsOnFrozenStandings
+} from '../src/utils/leaderboard.js';
+
+// Minimal stand-in for the ContestResult queries the leaderboard issues:
+// equality, $gt/$lt, $or, sort, skip and limit over an in-memory collection
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$or') return condition.some(branch => matches(doc, branch));
+  if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+    return Object.entries(condition).every(([op, value]) => (op === '$gt' ? doc[field] > value : doc[field] < value));
+  }
+  return doc[field] === condition;
+});
+
+function mockCollection(docs) {
+  const select = (filter) => docs.filter(doc => matches(doc, filter));
+
+  jest.spyOn(ContestResult, 'countDocuments').mockImplementation(async (filter) => select(filter).length);
+  jest.spyOn(ContestResult, 'findOne').mockImplementation(async (filter) => {
+    const doc = select(filter)[0];
+    return doc && { ...doc, toObject: () => ({ ...doc }) };
+  });
+  jest.spyOn(ContestResult, 'find').mockImplementation((filter) => {
+    const query = { skipped: 0, limited: 0 };
+    Object.assign(query, {
+      populate: () => query,
+      sort: (order) => Object.assign(query, { order }),
+      skip: (count) => Object.assign(query, { skipped: count }),
+      limit: (count) => Object.assign(query, { limited: count }),
+      then: (resolve, reject) => {
+        const sorted = select(filter).sort((a, b) => {
+          for (const [field, direction] of Object.entries(query.order)) {
+            if (a[field] !== b[field]) return (a[field] < b[field] ? -1 : 1) * direction;
+          }
+          return 0;
+        });
+        const end = query.limited ? query.skipped + query.limited : undefined;
+        const page = sorted.slice(query.skipped, end).map(doc => ({ toObject: () => ({ ...doc }) }));
+        return Promise.resolve(page).then(resolve, reject);
+      }
+    });
+    return query;
+  });
+}
+
+const contest = { _id: 'contest', scoringMode: 'icpc', isScoreboardFrozen: () => false };
+
+// Ids are deliberately out of row order: ties must still page consistently
+const ROWS = [[3, 10], [3, 10], [3, 20], [2, 5], [2, 5], [2, 5], [1, 0], [0, 0]];
+const docs = ROWS.map(([solvedCount, penalties], index) => ({
+  _id: `id${(index * 5) % 8}`,
+  contestId: 'contest',
+  userId: `user${index}`,
+  solvedCount,
+  penalties,
+  totalTime: 0
+}));
+
+const summary = (rows) => rows.map(row => `${row.userId}:${row.rank}`);
+
+beforeEach(() => mockCollection(docs));
+afterEach(() => jest.restoreAllMocks());
+
+describe('getStandingsPage', () => {
+  test('gives tied rows the same rank and skips ahead after them', async () => {
+    const { rows, total } = await getStandingsPage(contest, { skip: 0, limit: 8 });
+    expect(total).toBe(8);
+    expect(rows.map(row => row.rank)).toEqual([1, 1, 3, 4, 4, 4, 7, 8]);
+  });
+
+  test('ranks a page that starts inside a tie from the rows before it', async () => {
+    const { rows: full } = await getStandingsPage(contest, { skip: 0, limit: 8 });
+    for (let skip = 0; skip < 8; skip++) {
+      const { rows } = await getStandingsPage(contest, { skip, limit: 3 });
+      expect(summary(rows)).toEqual(summary(full.slice(skip, skip + 3)));
+    }
+  });
+});
+
+describe('getStandingsAround', () => {
+  test('returns the user with their neighbours', async () => {
+    const { rows: full } = await getStandingsPage(contest, { skip: 0, limit: 8 });
+    const index = full.findIndex(row => row.userId === 'user4');
+
+    const position = await getStandingsAround(contest, 'user4', { around: 1 });
+    expect(position.entry).toMatchObject({ userId: 'user4', rank: 4 });
+    expect(position.total).toBe(8);
+    expect(summary(position.neighbours)).toEqual(summary(full.slice(index - 1, index + 2)));
+  });
+
+  test('stops at the ends of the standings', async () => {
+    const first = await getStandingsAround(contest, 'user0', { around: 2 });
+    expect(first.entry.rank).toBe(1);
+    expect(first.neighbours).toHaveLength(3);
+
+    const last = await getStandingsAround(contest, 'user7', { around: 2 });
+    expect(last.entry.rank).toBe(8);
+    expect(last.neighbours).toHaveLength(3);
+  });
+
+  test('returns null for a user who has not joined', async () => {
+    expect(await getStandingsAround(contest, 'stranger')).toBeNull();
+  });
+});
+
+describe('frozen standings', () => {
+  const freezeAt = new Date('2026-01-01T12:00:00Z');
+  const frozen = {
+    _id: 'frozen-contest',
+    scoringMode: 'icpc',
+    problems: [],
+    freezeStartsAt: () => freezeAt,
+    isScoreboardFrozen: () => true,
+    resolver: { revealed: [{ userId: 'user1', problemId: 'p1' }] }
+  };
+
+  test('are cached across views and only rebuilt once invalidated', async () => {
+    const replay = jest.spyOn(Submission, 'find').mockReturnValue({ select: () => ({ sort: async () => [] }) });
+
+    await getStandingsPage(frozen, { limit: 3 });
+    await getStandingsPage(frozen, { view: 'admin', limit: 3 });
+    await getStandingsAround(frozen, 'user0');
+    expect(replay).toHaveBeenCalledTimes(1);
+
+    invalidateFrozenStandings(frozen._id);
+    await getStandingsPage(frozen, { limit: 3 });
+    expect(replay).toHaveBeenCalledTimes(2);
+    invalidateFrozenStandings(frozen._id);
+  });
+
+  test('change with verdicts from before the freeze or in revealed cells', () => {
+    const before = new Date(freezeAt.getTime() - 1);
+    const after = new Date(freezeAt.getTime() + 1);
+
+    expect(showsOnFrozenStandings(frozen, { userId: 'user0', problemId: 'p1', submittedAt: before })).toBe(true);
+    expect(showsOnFrozenStandings(frozen, { userId: 'user1', problemId: 'p1', submittedAt: after })).toBe(true);
+    expect(showsOnFrozenStandings(frozen, { userId: 'user0', problemId: 'p1', submittedAt: after })).toBe(false);
+    expect(showsOnFrozenStandings({ ...frozen, freezeStartsAt: () => null }, {
+      userId: 'user0', problemId: 'p1', submittedAt: before
+    })).toBe(false);
+  });
+});
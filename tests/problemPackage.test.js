@@ -0,0 +1,296 @@
+import zlib from 'zlib';
+import AdmZip from 'adm-zip';
+import { PackageError, readProblemPackage, writeProblemPackage } from '../src/utils/problemPackage.js';
+
+const zipOf = (files) => {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(files)) {
+    zip.addFile(name, Buffer.from(content, 'utf8'));
+  }
+  return zip.toBuffer();
+};
+
+const readErrors = (buffer) => {
+  try {
+    readProblemPackage(buffer);
+  } catch (error) {
+    expect(error).toBeInstanceOf(PackageError);
+    return error.errors;
+  }
+  throw new Error('expected a PackageError');
+};
+
+describe('native packages', () => {
+  const meta = {
+    id: 'abc',
+    title: 'Sum',
+    difficulty: 'Easy',
+    timeLimit: 2000,
+    checker: { type: 'tokens' },
+    tests: {
+      '01': { isHidden: false, points: 2 },
+      '03': { generator: { args: ['--n', '10'], seed: 7 } }
+    },
+    solutions: { 'slow.py': { expectedVerdict: 'time_limit_exceeded' } }
+  };
+
+  test('reads metadata, tests, harnesses and solutions', () => {
+    const { id, fields } = readProblemPackage(zipOf({
+      'problem.json': JSON.stringify(meta),
+      'statement.md': 'Add two numbers.',
+      'tests/01.in': '1 2\n',
+      'tests/01.out': '3\n',
+      'tests/02.in': '5 5\n',
+      'tests/02.out': '10\n',
+      'generator/gen.py': 'print(1)',
+      'harness/python.py': 'print(solve())',
+      'solutions/main.cpp': 'int main() {}',
+      'solutions/slow.py': 'pass'
+    }));
+
+    expect(id).toBe('abc');
+    expect(fields).toMatchObject({ title: 'Sum', difficulty: 'Easy', timeLimit: 2000, description: 'Add two numbers.' });
+    expect(fields.testCases).toEqual([
+      { input: '1 2\n', expectedOutput: '3\n', isHidden: false, points: 2 },
+      { input: '5 5\n', expectedOutput: '10\n', isHidden: true, points: 1 },
+      { isHidden: true, points: 1, generator: { args: ['--n', '10'], seed: 7 } }
+    ]);
+    expect(fields.checker).toEqual({ type: 'tokens' });
+    expect(fields.generator).toEqual({ language: 'python', code: 'print(1)' });
+    expect(fields.harshnessCode).toEqual({ python: 'print(solve())' });
+    expect(fields.referenceSolutions).toEqual([
+      { name: 'main', language: 'cpp', code: 'int main() {}', expectedVerdict: 'accepted' },
+      { name: 'slow', language: 'python', code: 'pass', expectedVerdict: 'time_limit_exceeded' }
+    ]);
+  });
+
+  test('finds a package wrapped in a top-level directory', () => {
+    const { fields } = readProblemPackage(zipOf({
+      'sum/problem.json': JSON.stringify({ title: 'Sum' }),
+      'sum/statement.md': 'Add.',
+      'sum/tests/1.in': '1',
+      'sum/tests/1.out': '1'
+    }));
+    expect(fields.title).toBe('Sum');
+    expect(fields.testCases).toHaveLength(1);
+  });
+
+  test('lists every problem at once', () => {
+    const errors = readErrors(zipOf({
+      'problem.json': JSON.stringify({ title: 'Sum', checker: { type: 'custom' } }),
+      'tests/01.in': '1',
+      'solutions/main.rb': 'puts 1'
+    }));
+    expect(errors).toEqual([
+      'statement.md is missing',
+      'tests/01.out is missing',
+      'checker/ must contain the custom checker source',
+      'solutions/main.rb is not in a supported language'
+    ]);
+  });
+
+  test('rejects an archive without a known layout', () => {
+    expect(() => readProblemPackage(zipOf({ 'readme.txt': 'hi' }))).toThrow(PackageError);
+    expect(() => readProblemPackage(Buffer.from('not a zip'))).toThrow(PackageError);
+  });
+
+  test('reads back what writeProblemPackage exports', async () => {
+    const problem = {
+      _id: 'p1',
+      title: 'Sum',
+      difficulty: 'Medium',
+      description: 'Add two numbers.',
+      timeLimit: 1000,
+      memoryLimit: 256,
+      examples: [{ input: '1 2', output: '3', explanation: '' }],
+      testCases: [
+        { input: '1 2', expectedOutput: '3', isHidden: false, points: 1 },
+        { isHidden: true, points: 4, generator: { args: ['big'], seed: 3 } }
+      ],
+      checker: { type: 'custom', interface: 'testlib', language: 'cpp', code: '// checker' },
+      inputValidator: { language: 'python', code: 'pass', interface: 'kattis' },
+      referenceSolutions: [
+        { name: 'main', language: 'python', code: 'print(3)', expectedVerdict: 'accepted' },
+        { name: 'main', language: 'python', code: 'print(4)', expectedVerdict: 'wrong_answer' }
+      ],
+      harshnessCode: 'shared harness'
+    };
+
+    const { id, fields } = readProblemPackage(await writeProblemPackage(problem));
+
+    expect(id).toBe('p1');
+    expect(fields).toMatchObject({ title: 'Sum', description: 'Add two numbers.', harshnessCode: 'shared harness' });
+    expect(fields.testCases).toEqual([
+      { input: '1 2', expectedOutput: '3', isHidden: false, points: 1 },
+      { isHidden: true, points: 4, generator: { args: ['big'], seed: 3 } }
+    ]);
+    expect(fields.checker).toEqual({ type: 'custom', interface: 'testlib', language: 'cpp', code: '// checker' });
+    expect(fields.inputValidator).toEqual({ language: 'python', code: 'pass', interface: 'kattis' });
+    // Duplicate names get a suffix; solutions come back in file name order
+    expect(fields.referenceSolutions.map(s => [s.name, s.code, s.expectedVerdict])).toEqual([
+      ['main-2', 'print(4)', 'wrong_answer'],
+      ['main', 'print(3)', 'accepted']
+    ]);
+  });
+});
+
+describe('Polygon packages', () => {
+  const problemXml = (checker) => `<?xml version="1.0" encoding="utf-8"?>
+<problem short-name="sum">
+  <names><name language="english" value="Sum of Two"/></names>
+  <judging>
+    <testset name="tests">
+      <time-limit>2000</time-limit>
+      <memory-limit>268435456</memory-limit>
+      <input-path-pattern>tests/%02d</input-path-pattern>
+      <answer-path-pattern>tests/%02d.a</answer-path-pattern>
+      <tests>
+        <test method="manual" sample="true"/>
+        <test method="generated"/>
+      </tests>
+    </testset>
+  </judging>
+  <assets>
+    <checker name="${checker}"><source path="files/check.cpp" type="cpp.g++17"/></checker>
+    <validators><validator><source path="files/val.cpp" type="cpp.g++17"/></validator></validators>
+    <solutions>
+      <solution tag="main"><source path="solutions/sol.cpp" type="cpp.g++17"/></solution>
+      <solution tag="wrong-answer"><source path="solutions/wa.py" type="python.3"/></solution>
+      <solution tag="rejected"><source path="solutions/bad.cpp" type="cpp.g++17"/></solution>
+    </solutions>
+  </assets>
+  <tags><tag value="math"/></tags>
+</problem>`;
+
+  const files = (checker) => ({
+    'problem.xml': problemXml(checker),
+    'statement-sections/english/legend.tex': 'Add two numbers.',
+    'statement-sections/english/input.tex': 'Two integers.',
+    'tests/01': '1 2\n',
+    'tests/01.a': '3\n',
+    'tests/02': '5 6\n',
+    'tests/02.a': '11\n',
+    'files/check.cpp': '#include "testlib.h"\nint main() {}',
+    'files/testlib.h': '// testlib',
+    'files/val.cpp': '#include "testlib.h"\nint main() {}',
+    'solutions/sol.cpp': 'int main() {}',
+    'solutions/wa.py': 'print(0)',
+    'solutions/bad.cpp': 'int main() { return 1; }'
+  });
+
+  test('maps limits, samples, statement and tagged solutions', () => {
+    const { fields } = readProblemPackage(zipOf(files('std::rcmp6.cpp')));
+
+    expect(fields).toMatchObject({ title: 'Sum of Two', timeLimit: 2000, memoryLimit: 256, tags: ['math'] });
+    expect(fields.description).toBe('Add two numbers.\n\n## Input\n\nTwo integers.');
+    expect(fields.examples).toEqual([{ input: '1 2\n', output: '3\n' }]);
+    expect(fields.testCases.map(tc => [tc.input, tc.isHidden])).toEqual([['1 2\n', false], ['5 6\n', true]]);
+    expect(fields.checker).toEqual({ type: 'float', absoluteError: 1e-6, relativeError: 1e-6 });
+    expect(fields.inputValidator).toMatchObject({ language: 'cpp', interface: 'testlib' });
+    expect(fields.inputValidator.code).toContain('// testlib');
+    expect(fields.referenceSolutions.map(s => [s.name, s.expectedVerdict])).toEqual([
+      ['sol', 'accepted'],
+      ['wa', 'wrong_answer']
+    ]);
+  });
+
+  test('imports other checkers as custom testlib checkers with testlib.h inlined', () => {
+    const { fields } = readProblemPackage(zipOf(files('check.cpp')));
+    expect(fields.checker).toMatchObject({ type: 'custom', interface: 'testlib', language: 'cpp' });
+    expect(fields.checker.code).toContain('// testlib');
+    expect(fields.checker.code).not.toContain('#include "testlib.h"');
+  });
+
+  test('asks for a full package when test files are missing', () => {
+    const { 'tests/02.a': removed, ...partial } = files('std::wcmp.cpp');
+    expect(readErrors(zipOf(partial))).toEqual(['tests/02.a is missing (export a full package from Polygon)']);
+  });
+});
+
+describe('Kattis packages', () => {
+  const base = {
+    'problem.yaml': 'name: Hello\nkeywords: strings io\nvalidator_flags: float_tolerance 1e-6\nlimits:\n  memory: 512\n',
+    '.timelimit': '2.5',
+    'problem_statement/problem.en.md': 'Print hello.\n',
+    'data/sample/1.in': 'a\n',
+    'data/sample/1.ans': 'hello a\n',
+    'data/secret/group1/1.in': 'b\n',
+    'data/secret/group1/1.ans': 'hello b\n',
+    'data/secret/group2/1.in': 'c\n',
+    'data/secret/group2/1.ans': 'hello c\n',
+    'submissions/accepted/ok.py': 'print("hello")',
+    'submissions/time_limit_exceeded/slow.cpp': 'int main() { for (;;); }',
+    'submissions/accepted/notes.txt': 'not a solution'
+  };
+
+  test('maps limits, samples, secret groups, flags and submissions', () => {
+    const { fields } = readProblemPackage(zipOf(base));
+
+    expect(fields).toMatchObject({
+      title: 'Hello', tags: ['strings', 'io'], timeLimit: 2500, memoryLimit: 512, description: 'Print hello.'
+    });
+    expect(fields.examples).toEqual([{ input: 'a\n', output: 'hello a\n' }]);
+    expect(fields.testCases.map(tc => [tc.input, tc.isHidden])).toEqual([['a\n', false], ['b\n', true], ['c\n', true]]);
+    expect(fields.checker).toEqual({ type: 'float', absoluteError: 1e-6, relativeError: 1e-6, caseInsensitive: true });
+    expect(fields.referenceSolutions.map(s => [s.name, s.language, s.expectedVerdict])).toEqual([
+      ['accepted/ok', 'python', 'accepted'],
+      ['time_limit_exceeded/slow', 'cpp', 'time_limit_exceeded']
+    ]);
+  });
+
+  test('picks the built-in checker from the validator flags', () => {
+    const flagged = (flags) => readProblemPackage(zipOf({
+      ...base,
+      'problem.yaml': `name: Hello\nvalidator_flags: ${flags}\n`
+    })).fields.checker;
+
+    expect(flagged('space_change_sensitive')).toEqual({ type: 'exact', caseInsensitive: true });
+    expect(flagged('case_sensitive')).toEqual({ type: 'tokens', caseInsensitive: false });
+    expect(flagged('case_sensitive space_change_sensitive')).toEqual({ type: 'exact', caseInsensitive: false });
+  });
+
+  test('ignores case by default, like the default validator', () => {
+    const { fields } = readProblemPackage(zipOf({ ...base, 'problem.yaml': 'name: Hello\n' }));
+    expect(fields.checker).toEqual({ type: 'tokens', caseInsensitive: true });
+  });
+
+  test('refuses interactive problems', () => {
+    expect(readErrors(zipOf({ ...base, 'problem.yaml': 'name: Hello\nvalidation: custom interactive\n' })))
+      .toEqual(['validation "custom interactive" is not supported']);
+  });
+
+  test('reports answers missing from the data', () => {
+    const { 'data/secret/group2/1.ans': removed, ...partial } = base;
+    expect(readErrors(zipOf(partial))).toEqual(['data/secret/group2/1.ans is missing']);
+  });
+});
+
+describe('archives', () => {
+  const meta = JSON.stringify({ title: 'Sum', difficulty: 'Easy' });
+
+  test('refuses tar and gzip with a clear message', () => {
+    const tar = Buffer.alloc(1024);
+    tar.write('problem.json', 0);
+    tar.write('ustar', 257, 'latin1');
+    const message = ['tar and gzip archives are not supported; upload the package as a zip'];
+
+    expect(readErrors(tar)).toEqual(message);
+    expect(readErrors(zlib.gzipSync(tar))).toEqual(message);
+  });
+
+  test('refuses an archive that unpacks past the size cap before inflating it', () => {
+    const buffer = zipOf({ 'problem.json': meta, 'tests/01.in': '1 2\n' });
+    // Declare 600 MB for the test file in the central directory
+    const central = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    buffer.writeUInt32LE(600 * 1024 * 1024, central + 24);
+
+    expect(readErrors(buffer)).toEqual(['archive unpacks to more than 512 MB']);
+  });
+
+  test('refuses an archive with too many files', () => {
+    const files = { 'problem.json': meta };
+    for (let i = 0; i < 10000; i++) files[`tests/${i}.in`] = '';
+
+    expect(readErrors(zipOf(files))).toEqual(['archive has 10001 files; at most 10000 are allowed']);
+  });
+});
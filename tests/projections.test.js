@@ -0,0 +1,85 @@
+import { resolveView, toOwnSubmission, toPublicProblem } from '../src/utils/projections.js';
+
+describe('resolveView', () => {
+  const request = (view, role) => ({ query: view ? { view } : {}, user: role && { role } });
+
+  test('serves the public view unless the admin view is asked for', () => {
+    expect(resolveView(request(undefined, 'admin'))).toBe('public');
+    expect(resolveView(request('admin', 'admin'))).toBe('admin');
+  });
+
+  test('refuses the admin view to everyone else', () => {
+    expect(resolveView(request('admin', 'user'))).toBeNull();
+    expect(resolveView(request('admin'))).toBeNull();
+  });
+});
+
+describe('toPublicProblem', () => {
+  const problem = {
+    title: 'Sum',
+    testCases: [
+      { input: '1 2', expectedOutput: '3', isHidden: false },
+      { input: '5 5', expectedOutput: '10', isHidden: true }
+    ],
+    harshnessCode: { python: 'print(solve())' },
+    checker: { type: 'custom', interface: 'testlib', language: 'cpp', code: '// checker' },
+    referenceSolutions: [{ name: 'main', language: 'cpp', code: 'int main() {}' }],
+    generator: { language: 'python', code: 'print(1)' },
+    inputValidator: { language: 'python', code: 'pass' }
+  };
+
+  test('keeps only the visible tests', () => {
+    expect(toPublicProblem(problem).testCases).toEqual([{ input: '1 2', expectedOutput: '3', isHidden: false }]);
+  });
+
+  test('drops harness code and the custom checker source', () => {
+    const projected = toPublicProblem(problem);
+    expect(projected).not.toHaveProperty('harshnessCode');
+    expect(projected.checker).toEqual({ type: 'custom', interface: 'testlib' });
+  });
+
+  test('drops reference solutions', () => {
+    expect(toPublicProblem(problem)).not.toHaveProperty('referenceSolutions');
+  });
+
+  test('drops the test generator and input validator', () => {
+    const projected = toPublicProblem(problem);
+    expect(projected).not.toHaveProperty('generator');
+    expect(projected).not.toHaveProperty('inputValidator');
+  });
+
+  test('leaves the stored document alone', () => {
+    toPublicProblem(problem);
+    expect(problem.testCases).toHaveLength(2);
+    expect(problem.checker.code).toBe('// checker');
+  });
+});
+
+describe('toOwnSubmission', () => {
+  const result = (testCaseId) => ({
+    testCaseId,
+    passed: false,
+    status: 'wrong_answer',
+    executionTime: 12,
+    wallTime: 20,
+    memoryUsed: 2048,
+    output: 'secret output',
+    error: 'secret error',
+    checkerMessage: 'Token 1 differs: expected "42", found "41"'
+  });
+  const submission = { status: 'wrong_answer', testResults: [result('visible'), result('hidden'), result('removed')] };
+
+  test('keeps everything for visible tests', () => {
+    const [visible] = toOwnSubmission(submission, new Set(['visible'])).testResults;
+    expect(visible).toEqual(result('visible'));
+  });
+
+  test('reduces hidden and removed tests to the verdict and resources used', () => {
+    const [, hidden, removed] = toOwnSubmission(submission, new Set(['visible'])).testResults;
+    const verdictOnly = (testCaseId) => ({
+      testCaseId, passed: false, status: 'wrong_answer', executionTime: 12, wallTime: 20, memoryUsed: 2048
+    });
+    expect(hidden).toEqual(verdictOnly('hidden'));
+    expect(removed).toEqual(verdictOnly('removed'));
+  });
+});
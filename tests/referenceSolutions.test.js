@@ -0,0 +1,113 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Problem from '../src/models/Problem.js';
+import { CodeRunner, CompilationError } from '../src/utils/codeRunner.js';
+import { JudgeBusyError, judgeQueue } from '../src/utils/judgeQueue.js';
+import { verifyReferenceSolutions } from '../src/utils/referenceSolutions.js';
+import { createProblem, updateProblem, verifyProblem } from '../src/controllers/problemController.js';
+import { createProblemRules, problemIdRule, updateProblemRules } from '../src/validators/problemValidators.js';
+
+const problemId = String(new mongoose.Types.ObjectId());
+
+const makeProblem = (fields = {}) => new Problem({
+  title: 'Sum',
+  description: 'Add two numbers',
+  difficulty: 'Easy',
+  createdBy: new mongoose.Types.ObjectId(),
+  testCases: [{ input: '1 2', expectedOutput: '3', points: 10 }],
+  referenceSolutions: [
+    { name: 'main', language: 'python', code: 'print(3)', expectedVerdict: 'accepted' },
+    { name: 'broken', language: 'cpp', code: 'int main(', expectedVerdict: 'compilation_error' }
+  ],
+  ...fields
+});
+
+const accepted = { passed: true, status: 'accepted', executionTime: 5, memoryUsed: 1024 };
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+let slot;
+
+beforeEach(() => {
+  slot = jest.spyOn(judgeQueue, 'runExclusive').mockImplementation(task => task());
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('verifyReferenceSolutions', () => {
+  test('judges each solution in a judge slot of its own', async () => {
+    jest.spyOn(CodeRunner.prototype, 'runCode')
+      .mockResolvedValueOnce([accepted])
+      .mockRejectedValueOnce(new CompilationError('expected'));
+    const problem = makeProblem();
+
+    const results = await verifyReferenceSolutions(problem);
+
+    expect(slot).toHaveBeenCalledTimes(2);
+    expect(results.map(result => [result.name, result.status, result.passed])).toEqual([
+      ['main', 'accepted', true],
+      ['broken', 'compilation_error', true]
+    ]);
+    expect(problem.referenceSolutions[0].lastRun).toMatchObject({ status: 'accepted', passed: true });
+  });
+
+  test('gives up when the judge has no room instead of recording a verdict', async () => {
+    slot.mockRejectedValue(new JudgeBusyError());
+    const runCode = jest.spyOn(CodeRunner.prototype, 'runCode');
+    const problem = makeProblem();
+
+    await expect(verifyReferenceSolutions(problem)).rejects.toBeInstanceOf(JudgeBusyError);
+    expect(runCode).not.toHaveBeenCalled();
+    expect(problem.referenceSolutions[0].lastRun?.status).toBeUndefined();
+  });
+});
+
+describe('problem endpoints with a busy judge', () => {
+  const solutions = [{ name: 'main', language: 'python', code: 'print(3)', expectedVerdict: 'accepted' }];
+  const stored = () => {
+    const problem = makeProblem();
+    problem.isNew = false;
+    return problem;
+  };
+
+  // The route's validation rules fill in what matchedData() hands the controller
+  const call = async (handler, rules, req) => {
+    for (const rule of rules) await rule.run(req);
+    const res = mockResponse();
+    await handler(req, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    slot.mockRejectedValue(new JudgeBusyError());
+    jest.spyOn(Problem.prototype, 'save').mockResolvedValue();
+    jest.spyOn(Problem, 'findById').mockImplementation(async () => stored());
+  });
+
+  test.each([
+    ['createProblem', createProblem, createProblemRules, {
+      body: {
+        title: 'Sum',
+        description: 'Add two numbers',
+        difficulty: 'Easy',
+        testCases: [{ input: '1 2', expectedOutput: '3', points: 10 }],
+        referenceSolutions: solutions
+      },
+      user: { id: String(new mongoose.Types.ObjectId()) }
+    }],
+    ['updateProblem', updateProblem, updateProblemRules, { params: { id: problemId }, body: { timeLimit: 2000 } }],
+    ['verifyProblem', verifyProblem, problemIdRule, { params: { id: problemId } }]
+  ])('%s answers 503 and saves nothing', async (name, handler, rules, req) => {
+    const res = await call(handler, rules, req);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'The judge is busy, please retry shortly' });
+    expect(Problem.prototype.save).not.toHaveBeenCalled();
+  });
+});
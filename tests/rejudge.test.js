@@ -0,0 +1,153 @@
+import { jest } from '@jest/globals';
+
+const finalizeStandings = jest.fn(async () => {});
+jest.unstable_mockModule('../src/utils/finalization.js', () => ({ finalizeStandings }));
+
+const { default: mongoose } = await import('mongoose');
+const { default: Contest } = await import('../src/models/Contest.js');
+const { default: RejudgeBatch } = await import('../src/models/RejudgeBatch.js');
+const { default: Submission } = await import('../src/models/Submission.js');
+const { reportRejudgeProgress, requestRejudge, settleRejudge } = await import('../src/utils/rejudge.js');
+
+const adminId = new mongoose.Types.ObjectId();
+const problemId = new mongoose.Types.ObjectId();
+const contestIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+const judged = (contestId, status, score) => ({ _id: new mongoose.Types.ObjectId(), contestId, status, score });
+
+// A batch document as RejudgeBatch.create / findOneAndUpdate would return it
+const batchDoc = (fields) => new RejudgeBatch({ scope: 'problem', targetId: problemId, ...fields });
+
+let completion;
+
+beforeEach(() => {
+  finalizeStandings.mockClear();
+  jest.spyOn(RejudgeBatch, 'create').mockImplementation(async (fields) => batchDoc(fields));
+  jest.spyOn(RejudgeBatch, 'updateOne').mockResolvedValue({});
+  // Not complete unless a test says otherwise
+  completion = jest.spyOn(RejudgeBatch, 'findOneAndUpdate').mockResolvedValue(null);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('requestRejudge', () => {
+  const mockJudged = (submissions) => jest.spyOn(Submission, 'find')
+    .mockReturnValue({ select: async () => submissions });
+
+  test('queues judged submissions that are not already queued, noting their verdict', async () => {
+    const submissions = [judged(contestIds[0], 'accepted', 100), judged(contestIds[1], 'wrong_answer', 0)];
+    const find = mockJudged(submissions);
+    const bulkWrite = jest.spyOn(Submission, 'bulkWrite').mockResolvedValue({ modifiedCount: 2 });
+
+    const batch = await requestRejudge({ problemId }, { scope: 'problem', targetId: problemId, requestedBy: adminId });
+
+    expect(find).toHaveBeenCalledWith({
+      problemId,
+      status: { $nin: ['pending', 'running'] },
+      rejudge: { $exists: false }
+    });
+    expect(batch).toMatchObject({ total: 2, requestedBy: adminId });
+    expect(batch.contestIds.map(String)).toEqual(contestIds.map(String));
+
+    const [first] = bulkWrite.mock.calls[0][0];
+    expect(first.updateOne.filter).toEqual({ _id: submissions[0]._id, status: 'accepted', rejudge: { $exists: false } });
+    expect(first.updateOne.update.$set.rejudge).toMatchObject({
+      batchId: batch._id,
+      requestedBy: adminId,
+      state: 'queued',
+      before: { status: 'accepted', score: 100 }
+    });
+    // The verdict itself is left in place
+    expect(first.updateOne.update.$set).not.toHaveProperty('status');
+  });
+
+  test('counts only the submissions it actually queued', async () => {
+    mockJudged([judged(contestIds[0], 'accepted', 100), judged(contestIds[0], 'accepted', 100)]);
+    jest.spyOn(Submission, 'bulkWrite').mockResolvedValue({ modifiedCount: 1 });
+
+    const batch = await requestRejudge({ problemId }, { scope: 'problem', targetId: problemId, requestedBy: adminId });
+
+    expect(batch.total).toBe(1);
+    expect(RejudgeBatch.updateOne).toHaveBeenCalledWith({ _id: batch._id }, { $set: { total: 1 } });
+  });
+
+  test('completes an empty batch straight away', async () => {
+    mockJudged([]);
+    const bulkWrite = jest.spyOn(Submission, 'bulkWrite');
+
+    const batch = await requestRejudge({ problemId }, { scope: 'problem', targetId: problemId, requestedBy: adminId });
+
+    expect(bulkWrite).not.toHaveBeenCalled();
+    expect(completion.mock.calls[0][0]).toMatchObject({ _id: batch._id, status: 'running' });
+  });
+});
+
+describe('settleRejudge', () => {
+  test('moves the request into the history with the new verdict', () => {
+    const batchId = new mongoose.Types.ObjectId();
+    const submission = new Submission({
+      status: 'wrong_answer',
+      score: 0,
+      evaluatedAt: new Date(),
+      rejudge: { batchId, requestedBy: adminId, state: 'running', before: { status: 'accepted', score: 100 } }
+    });
+
+    const request = settleRejudge(submission);
+
+    expect(String(request.batchId)).toBe(String(batchId));
+    expect(submission.rejudge).toBeUndefined();
+    expect(submission.rejudgeHistory[0]).toMatchObject({
+      batchId,
+      before: { status: 'accepted', score: 100 },
+      after: { status: 'wrong_answer', score: 0 },
+      judgedAt: submission.evaluatedAt
+    });
+  });
+
+  test('leaves ordinary submissions alone', () => {
+    const submission = new Submission({ status: 'accepted', score: 100 });
+    expect(settleRejudge(submission)).toBeNull();
+    expect(submission.rejudgeHistory).toHaveLength(0);
+  });
+});
+
+describe('reportRejudgeProgress', () => {
+  const request = { batchId: new mongoose.Types.ObjectId(), before: { status: 'accepted', score: 100 } };
+
+  test('counts a submission as changed only when its verdict or score moved', async () => {
+    const progress = jest.spyOn(RejudgeBatch, 'findByIdAndUpdate').mockResolvedValue(batchDoc({ done: 1, total: 2 }));
+
+    await reportRejudgeProgress({ status: 'accepted', score: 100 }, request);
+    await reportRejudgeProgress({ status: 'accepted', score: 50 }, request);
+
+    expect(progress.mock.calls.map(([, update]) => update.$inc)).toEqual([
+      { done: 1, changed: 0 },
+      { done: 1, changed: 1 }
+    ]);
+  });
+
+  test('writes a new snapshot for finalized contests once a batch with changes completes', async () => {
+    const finished = batchDoc({ done: 2, total: 2, changed: 1, contestIds, status: 'completed', completedAt: new Date() });
+    jest.spyOn(RejudgeBatch, 'findByIdAndUpdate').mockResolvedValue(finished);
+    completion.mockResolvedValue(finished);
+    const finalized = { _id: contestIds[0], status: 'finalized' };
+    const find = jest.spyOn(Contest, 'find').mockResolvedValue([finalized]);
+
+    await reportRejudgeProgress({ status: 'wrong_answer', score: 0 }, request);
+
+    expect(find).toHaveBeenCalledWith({ _id: { $in: finished.contestIds }, status: 'finalized' });
+    expect(finalizeStandings).toHaveBeenCalledWith(finalized, { reason: 'rejudge' });
+  });
+
+  test('leaves official standings alone when nothing changed', async () => {
+    const finished = batchDoc({ done: 2, total: 2, changed: 0, contestIds, status: 'completed', completedAt: new Date() });
+    jest.spyOn(RejudgeBatch, 'findByIdAndUpdate').mockResolvedValue(finished);
+    completion.mockResolvedValue(finished);
+    const find = jest.spyOn(Contest, 'find');
+
+    await reportRejudgeProgress({ status: 'accepted', score: 100 }, request);
+
+    expect(find).not.toHaveBeenCalled();
+    expect(finalizeStandings).not.toHaveBeenCalled();
+  });
+});
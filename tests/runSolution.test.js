@@ -0,0 +1,100 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Problem from '../src/models/Problem.js';
+import { CodeRunner, CompilationError } from '../src/utils/codeRunner.js';
+import { JudgeBusyError, judgeQueue } from '../src/utils/judgeQueue.js';
+import { runSolution } from '../src/controllers/submissionController.js';
+
+const problemId = String(new mongoose.Types.ObjectId());
+
+const problem = {
+  _id: problemId,
+  isActive: true,
+  timeLimit: 2000,
+  memoryLimit: 128,
+  checker: { type: 'tokens' },
+  harshnessCode: { python: 'print(solve())' },
+  examples: [{ input: '1 2', output: '3' }, { input: '2 2', output: '4' }]
+};
+
+const run = (status, output) => ({
+  status, output, error: '', exitCode: 0, signal: null, executionTime: 5, wallTime: 9, memoryUsed: 1024, checkerMessage: ''
+});
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const call = async (body, role = 'user') => {
+  const res = mockResponse();
+  await runSolution({ body: { problemId, language: 'python', code: 'def solve(): return 3', ...body }, user: { id: 'u1', role } }, res);
+  return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+};
+
+let slot;
+
+beforeEach(() => {
+  jest.spyOn(Problem, 'findById').mockResolvedValue(problem);
+  slot = jest.spyOn(judgeQueue, 'runExclusive').mockImplementation(task => task());
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('runSolution', () => {
+  test('runs the examples with the harness in a judge slot', async () => {
+    const runCode = jest.spyOn(CodeRunner.prototype, 'runCode')
+      .mockResolvedValue([run('accepted', '3'), run('wrong_answer', '5')]);
+
+    const { status, body } = await call({});
+
+    expect(status).toBe(200);
+    expect(slot).toHaveBeenCalledTimes(1);
+    const [code, language, tests, options] = runCode.mock.calls[0];
+    expect(code).toContain('print(solve())');
+    expect(language).toBe('python');
+    expect(tests).toEqual([{ input: '1 2', expectedOutput: '3' }, { input: '2 2', expectedOutput: '4' }]);
+    expect(options).toEqual({ timeLimit: 2000, memoryLimit: 128, checker: { type: 'tokens' } });
+    expect(body.data.results.map(result => [result.status, result.output])).toEqual([['accepted', '3'], ['wrong_answer', '5']]);
+  });
+
+  test('runs custom input once', async () => {
+    const runCustom = jest.spyOn(CodeRunner.prototype, 'runCustom').mockResolvedValue(run('completed', '7'));
+
+    const { body } = await call({ input: '3 4' });
+
+    expect(runCustom.mock.calls[0][2]).toBe('3 4');
+    expect(body.data.results).toHaveLength(1);
+    expect(body.data.results[0]).toMatchObject({ status: 'completed', output: '7', time: 5, memory: 1024 });
+  });
+
+  test('reports a compilation error as a result', async () => {
+    jest.spyOn(CodeRunner.prototype, 'runCode').mockRejectedValue(new CompilationError('main.cpp:1: error'));
+
+    const { status, body } = await call({});
+
+    expect(status).toBe(200);
+    expect(body.data).toEqual({ status: 'compilation_error', compileOutput: 'main.cpp:1: error', results: [] });
+  });
+
+  test('answers 503 while the judge is saturated', async () => {
+    slot.mockRejectedValue(new JudgeBusyError());
+    const runCode = jest.spyOn(CodeRunner.prototype, 'runCode');
+
+    const { status, body } = await call({});
+
+    expect(status).toBe(503);
+    expect(body.success).toBe(false);
+    expect(runCode).not.toHaveBeenCalled();
+  });
+
+  test('hides inactive problems from non-admins', async () => {
+    Problem.findById.mockResolvedValue({ ...problem, isActive: false });
+    jest.spyOn(CodeRunner.prototype, 'runCode').mockResolvedValue([]);
+
+    expect((await call({})).status).toBe(404);
+    expect((await call({}, 'admin')).status).toBe(200);
+  });
+});
@@ -0,0 +1,160 @@
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createWorkDir, disposeSandbox, getSandboxCapabilities, removeWorkDir, runSandboxed
+} from '../src/utils/sandbox.js';
+
+// These run real programs, so they only run where the host can isolate them
+const capabilities = getSandboxCapabilities();
+const isolated = Object.values(capabilities).every(Boolean);
+const withSandbox = isolated ? describe : describe.skip;
+
+let workDir;
+
+beforeEach(() => {
+  if (isolated) workDir = createWorkDir();
+});
+
+afterEach(() => removeWorkDir(workDir));
+
+// The private directory outlives a test worker, which never exits
+afterAll(disposeSandbox);
+
+const sh = (script, options = {}) => runSandboxed({ command: 'sh', args: ['-c', script], cwd: workDir, ...options });
+
+withSandbox('runSandboxed', () => {
+  test('feeds stdin and collects stdout and stderr', async () => {
+    const result = await sh('read a b; echo $((a + b)); echo note >&2', { input: '1 2\n' });
+    expect(result).toMatchObject({ stdout: '3\n', stderr: 'note\n', exitCode: 0, signal: null, timedOut: false });
+  });
+
+  test('stops a program that writes too much', async () => {
+    const result = await sh('yes', { outputLimitBytes: 64 * 1024 });
+    expect(result.outputLimitExceeded).toBe(true);
+    expect(result.stdout.length).toBeLessThanOrEqual(64 * 1024);
+  });
+});
+
+withSandbox('resource accounting', () => {
+  test('reports exit codes and signals of the program itself', async () => {
+    expect(await sh('exit 3')).toMatchObject({ exitCode: 3, signal: null });
+    expect(await sh('kill -SEGV $$')).toMatchObject({ exitCode: null, signal: 'SIGSEGV' });
+  });
+
+  test('stops a program at its CPU limit and reports the CPU time used', async () => {
+    const result = await sh('while :; do :; done', { timeLimitMs: 1000 });
+    expect(result.timedOut).toBe(true);
+    expect(result.cpuTime).toBeGreaterThanOrEqual(900);
+    expect(result.cpuTime).toBeLessThan(2500);
+  });
+
+  test('reports the CPU time of a short run, not the wall time', async () => {
+    const result = await sh('sleep 0.5');
+    expect(result.wallTime).toBeGreaterThanOrEqual(500);
+    expect(result.cpuTime).toBeLessThan(200);
+  });
+
+  test('reports the peak resident memory', async () => {
+    const result = await runSandboxed({
+      command: 'python3',
+      args: ['-c', 'b = bytearray(48 * 1024 * 1024); print(len(b))'],
+      cwd: workDir,
+      memoryLimitMb: 256
+    });
+    expect(result.exitCode).toBe(0);
+    expect(result.peakMemoryKb).toBeGreaterThan(48 * 1024);
+    expect(result.peakMemoryKb).toBeLessThan(96 * 1024);
+  });
+
+  test('counts the memory of every process in the tree', async () => {
+    const result = await runSandboxed({
+      command: 'python3',
+      args: ['-c', [
+        'import os, time',
+        'for _ in range(3): os.fork()',
+        'b = bytearray(32 * 1024 * 1024)',
+        'time.sleep(5)'
+      ].join('\n')],
+      cwd: workDir,
+      memoryLimitMb: 128
+    });
+    expect(result.wallTime).toBeLessThan(5000);
+    expect(result.peakMemoryKb).toBeGreaterThan(128 * 1024);
+  });
+
+  test('stops a program that starts too many processes', async () => {
+    const result = await sh('for i in $(seq 200); do sleep 5 & done; wait');
+    expect(result.exitCode).not.toBe(0);
+    expect(result.wallTime).toBeLessThan(5000);
+  });
+});
+
+withSandbox('filesystem and network isolation', () => {
+  test('can write its working directory only', async () => {
+    const result = await sh('echo ok > out.txt && cat out.txt; touch /etc/sandbox-spec || echo denied');
+    expect(result.stdout).toBe('ok\ndenied\n');
+    expect(fs.readFileSync(path.join(workDir, 'out.txt'), 'utf8')).toBe('ok\n');
+    expect(fs.existsSync('/etc/sandbox-spec')).toBe(false);
+  });
+
+  test('cannot see the server or the host /tmp', async () => {
+    const secretDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sandbox-spec-'));
+    fs.writeFileSync(path.join(secretDir, 'secret'), 'hunter2');
+    try {
+      const result = await sh(`cat ${secretDir}/secret; ls ${process.cwd()}`);
+      expect(result.stdout).toBe('');
+      expect(result.exitCode).not.toBe(0);
+    } finally {
+      removeWorkDir(secretDir);
+    }
+  });
+
+  test('has no network', async () => {
+    const result = await runSandboxed({
+      command: 'python3',
+      args: ['-c', 'import socket; socket.create_connection(("1.1.1.1", 53), timeout=2)'],
+      cwd: workDir
+    });
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toMatch(/unreachable/i);
+  });
+
+  test('takes down anything the program leaves running', async () => {
+    const result = await sh('setsid sleep 30 & echo started', { timeLimitMs: 1000 });
+    expect(result.stdout).toBe('started\n');
+    expect(result.timedOut).toBe(false);
+    expect(result.wallTime).toBeLessThan(2000);
+  });
+});
+
+describe('without full isolation', () => {
+  // A fresh process, since the capabilities are probed once per process
+  const runWith = (env) => spawnSync(process.execPath, ['--input-type=module', '-e', `
+    import { createWorkDir, removeWorkDir, runSandboxed } from ${JSON.stringify(path.resolve('src/utils/sandbox.js'))};
+    const cwd = createWorkDir();
+    try {
+      const result = await runSandboxed({ command: 'echo', args: ['ran'], cwd });
+      console.log(result.stdout.trim());
+    } catch (error) {
+      console.log(error.name);
+    } finally {
+      removeWorkDir(cwd);
+    }
+  `], {
+    encoding: 'utf8',
+    timeout: 30000,
+    env: { ...process.env, SANDBOX_DISABLE_FS_ISOLATION: 'true', ...env }
+  });
+
+  test('refuses to run anything', () => {
+    expect(runWith({}).stdout.trim()).toBe('SandboxUnavailableError');
+  });
+
+  test('runs with reduced isolation only when explicitly allowed', () => {
+    const child = runWith({ SANDBOX_ALLOW_INSECURE: 'true' });
+    expect(child.stdout.trim()).toBe('ran');
+    expect(child.stderr).toMatch(/SANDBOX_ALLOW_INSECURE/);
+  });
+});
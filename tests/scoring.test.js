@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+import Contest from '../src/models/Contest.js';
+import ContestResult from '../src/models/ContestResult.js';
+import { compareStandings, rebuildProblemResults } from '../src/utils/scoring.js';
+
+const MINUTE = 60 * 1000;
+const startTime = new Date('2026-01-01T10:00:00Z');
+const [problemA, problemB] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+const makeContest = (scoringMode, problemFields = {}) => new Contest({
+  title: 'Round',
+  description: 'Test round',
+  startTime,
+  duration: 100 * MINUTE,
+  endTime: new Date(startTime.getTime() + 100 * MINUTE),
+  scoringMode,
+  penaltyMinutes: 20,
+  problems: [
+    { problemId: problemA, order: 1, points: 500, ...problemFields },
+    { problemId: problemB, order: 2, points: 1000, ...problemFields }
+  ]
+});
+
+const makeResult = () => new ContestResult({
+  userId: new mongoose.Types.ObjectId(),
+  contestId: new mongoose.Types.ObjectId(),
+  problemResults: [
+    { problemId: problemA, maxScore: 500 },
+    { problemId: problemB, maxScore: 1000 }
+  ]
+});
+
+// Submission `minutes` into the contest
+const attempt = (problemId, status, minutes, score = 0) => ({
+  problemId,
+  status,
+  score,
+  submittedAt: new Date(startTime.getTime() + minutes * MINUTE)
+});
+
+const cell = (result, problemId) => result.problemResults.find(p => String(p.problemId) === String(problemId));
+
+describe('partial scoring replay', () => {
+  test('keeps the best score and when it was first reached', () => {
+    const result = rebuildProblemResults(makeResult(), [
+      attempt(problemA, 'wrong_answer', 5, 200),
+      attempt(problemA, 'wrong_answer', 10, 300),
+      attempt(problemA, 'wrong_answer', 15, 300),
+      attempt(problemB, 'compilation_error', 20)
+    ], makeContest('partial'));
+
+    expect(cell(result, problemA)).toMatchObject({
+      score: 300, timeSpent: 10 * MINUTE, status: 'partial', submissionCount: 3
+    });
+    expect(cell(result, problemB)).toMatchObject({ score: 0, status: 'attempted' });
+    expect(result.totalScore).toBe(300);
+    expect(result.totalTime).toBe(10 * MINUTE);
+  });
+});
+
+describe('ICPC scoring replay', () => {
+  test('charges rejected attempts before the first accepted one, except compilation errors', () => {
+    const result = rebuildProblemResults(makeResult(), [
+      attempt(problemA, 'wrong_answer', 3),
+      attempt(problemA, 'compilation_error', 5),
+      attempt(problemA, 'time_limit_exceeded', 8),
+      attempt(problemA, 'accepted', 30),
+      attempt(problemA, 'wrong_answer', 40),
+      attempt(problemB, 'wrong_answer', 50)
+    ], makeContest('icpc'));
+
+    expect(cell(result, problemA)).toMatchObject({
+      status: 'accepted',
+      score: 500,
+      rejectedAttempts: 2,
+      timeSpent: 30 * MINUTE,
+      penalty: 30 + 2 * 20,
+      submissionCount: 5
+    });
+    expect(cell(result, problemB)).toMatchObject({ status: 'attempted', score: 0, penalty: 0, rejectedAttempts: 1 });
+    expect(result.solvedCount).toBe(1);
+    expect(result.totalScore).toBe(1);
+    expect(result.penalties).toBe(70);
+    expect(result.totalTime).toBe(30 * MINUTE);
+  });
+
+  test('takes the whole penalty from the judged order of attempts', () => {
+    const result = rebuildProblemResults(makeResult(), [
+      attempt(problemA, 'accepted', 10),
+      attempt(problemB, 'wrong_answer', 20),
+      attempt(problemB, 'accepted', 45)
+    ], makeContest('icpc'));
+
+    expect(result.solvedCount).toBe(2);
+    expect(result.penalties).toBe(10 + 45 + 20);
+    expect(result.totalTime).toBe(45 * MINUTE);
+  });
+});
+
+describe('dynamic scoring replay', () => {
+  test('scores the value at acceptance less the attempt deductions', () => {
+    const result = rebuildProblemResults(makeResult(), [
+      attempt(problemA, 'wrong_answer', 20),
+      attempt(problemA, 'accepted', 50)
+    ], makeContest('dynamic', { minPoints: 100, attemptPenalty: 50 }));
+
+    // 500 falls linearly to 100 over 100 minutes: 300 at minute 50
+    expect(cell(result, problemA)).toMatchObject({
+      status: 'accepted', score: 250, penalty: 50, rejectedAttempts: 1, timeSpent: 50 * MINUTE
+    });
+    expect(result.totalScore).toBe(250);
+  });
+
+  test('never deducts below the floor', () => {
+    const rejected = Array.from({ length: 10 }, (_, i) => attempt(problemB, 'wrong_answer', i + 1));
+    const result = rebuildProblemResults(makeResult(), [
+      ...rejected,
+      attempt(problemB, 'accepted', 90)
+    ], makeContest('dynamic', { attemptPenalty: 50 }));
+
+    // Floor defaults to 30% of the points
+    expect(cell(result, problemB)).toMatchObject({ score: 300, rejectedAttempts: 10 });
+  });
+
+  test('scores nothing without an accepted attempt', () => {
+    const result = rebuildProblemResults(makeResult(), [
+      attempt(problemA, 'wrong_answer', 10)
+    ], makeContest('dynamic'));
+
+    expect(cell(result, problemA)).toMatchObject({ score: 0, status: 'attempted', rejectedAttempts: 1 });
+    expect(result.totalScore).toBe(0);
+  });
+});
+
+describe('compareStandings', () => {
+  test('orders ICPC rows by solved, then penalty, then time', () => {
+    const compare = compareStandings({ scoringMode: 'icpc' });
+    const rows = [
+      { id: 'slow', solvedCount: 2, penalties: 90, totalTime: 5 },
+      { id: 'most', solvedCount: 3, penalties: 500, totalTime: 9 },
+      { id: 'fast', solvedCount: 2, penalties: 60, totalTime: 7 }
+    ];
+    expect(rows.sort(compare).map(row => row.id)).toEqual(['most', 'fast', 'slow']);
+    expect(compare({ solvedCount: 1, penalties: 2, totalTime: 3 }, { solvedCount: 1, penalties: 2, totalTime: 3 })).toBe(0);
+  });
+
+  test('orders score-based modes by score, then time', () => {
+    const compare = compareStandings({ scoringMode: 'dynamic' });
+    expect(compare({ totalScore: 10, totalTime: 50 }, { totalScore: 10, totalTime: 40 })).toBeGreaterThan(0);
+    expect(compare({ totalScore: 20, totalTime: 50 }, { totalScore: 10, totalTime: 40 })).toBeLessThan(0);
+  });
+});
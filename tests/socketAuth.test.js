@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import ContestResult from '../src/models/ContestResult.js';
+import User from '../src/models/User.js';
+import { authenticateSocket } from '../src/middleware/auth.js';
+import { contestRoom, initRealtime } from '../src/utils/realtime.js';
+
+const SECRET = 'socket-test-secret';
+const userId = new mongoose.Types.ObjectId();
+const contestId = String(new mongoose.Types.ObjectId());
+
+const userDoc = { _id: userId, name: 'Ada', email: 'ada@example.com', role: 'user' };
+
+// Resolve the handshake middleware with the error it rejected with, if any
+const handshake = (handshakeData) => new Promise((resolve) => {
+  const socket = { handshake: { headers: {}, ...handshakeData }, data: {} };
+  authenticateSocket(socket, (error) => resolve({ socket, error }));
+});
+
+beforeAll(() => {
+  process.env.JWT_SECRET = SECRET;
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(User, 'findById').mockImplementation((id) => ({
+    select: async () => (String(id) === String(userId) ? userDoc : null)
+  }));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('authenticateSocket', () => {
+  test('attaches the user for a valid token in the handshake auth', async () => {
+    const { socket, error } = await handshake({ auth: { token: jwt.sign({ id: userId }, SECRET) } });
+    expect(error).toBeUndefined();
+    expect(socket.data.user).toMatchObject({ id: String(userId), name: 'Ada', role: 'user' });
+  });
+
+  test('accepts a bearer token in the authorization header', async () => {
+    const token = jwt.sign({ id: userId }, SECRET);
+    const { error } = await handshake({ headers: { authorization: `Bearer ${token}` } });
+    expect(error).toBeUndefined();
+  });
+
+  test.each([
+    ['no token', {}, 'NO_TOKEN'],
+    ['a token signed with another secret', { auth: { token: jwt.sign({ id: userId }, 'other') } }, 'INVALID_TOKEN'],
+    ['an expired token', { auth: { token: jwt.sign({ id: userId, exp: Math.floor(Date.now() / 1000) - 60 }, SECRET) } }, 'TOKEN_EXPIRED'],
+    ['a deleted user', { auth: { token: jwt.sign({ id: new mongoose.Types.ObjectId() }, SECRET) } }, 'USER_NOT_FOUND']
+  ])('rejects %s', async (_, handshakeData, code) => {
+    const { socket, error } = await handshake(handshakeData);
+    expect(error.data).toMatchObject({ success: false, code });
+    expect(socket.data.user).toBeUndefined();
+  });
+});
+
+describe('contest rooms', () => {
+  // Connect a fake socket for `user` and return its event handlers
+  const connect = (user) => {
+    const handlers = {};
+    let onConnection;
+    initRealtime({
+      use: () => {},
+      on: (event, handler) => { onConnection = handler; },
+      to: () => ({ emit: () => {} })
+    });
+    const socket = {
+      id: 'socket-1',
+      data: { user },
+      join: jest.fn(),
+      leave: jest.fn(),
+      on: (event, handler) => { handlers[event] = handler; }
+    };
+    onConnection(socket);
+    return { socket, handlers };
+  };
+
+  const joinContest = (handlers, id) => new Promise(resolve => handlers['join-contest'](id, resolve));
+
+  test('lets participants into the contest room', async () => {
+    jest.spyOn(ContestResult, 'exists').mockResolvedValue({ _id: 'result' });
+    const { socket, handlers } = connect({ id: String(userId), role: 'user' });
+
+    expect(await joinContest(handlers, contestId)).toEqual({ success: true, room: contestRoom(contestId) });
+    expect(socket.join).toHaveBeenCalledWith(contestRoom(contestId));
+  });
+
+  test('keeps users who have not joined the contest out', async () => {
+    jest.spyOn(ContestResult, 'exists').mockResolvedValue(null);
+    const { socket, handlers } = connect({ id: String(userId), role: 'user' });
+
+    expect(await joinContest(handlers, contestId)).toMatchObject({ success: false, code: 'NOT_PARTICIPANT' });
+    expect(socket.join).not.toHaveBeenCalledWith(contestRoom(contestId));
+  });
+
+  test('lets admins listen to any contest', async () => {
+    const exists = jest.spyOn(ContestResult, 'exists');
+    const { handlers } = connect({ id: String(userId), role: 'admin' });
+
+    expect(await joinContest(handlers, contestId)).toMatchObject({ success: true });
+    expect(exists).not.toHaveBeenCalled();
+  });
+
+  test('rejects a malformed contest id', async () => {
+    const { handlers } = connect({ id: String(userId), role: 'user' });
+    expect(await joinContest(handlers, 'not-an-id')).toMatchObject({ success: false, code: 'INVALID_CONTEST' });
+  });
+});
@@ -0,0 +1,50 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Contest from '../src/models/Contest.js';
+import ContestResult from '../src/models/ContestResult.js';
+import Submission from '../src/models/Submission.js';
+import { submitFinalResults } from '../src/controllers/submissionController.js';
+
+const contestId = String(new mongoose.Types.ObjectId());
+const userId = String(new mongoose.Types.ObjectId());
+
+let result;
+
+const submit = async (body) => {
+  const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+  await submitFinalResults({ body: { contestId, ...body }, user: { id: userId } }, res);
+  return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+};
+
+beforeEach(() => {
+  // Judged totals: 150 points, 2 solved, best score reached 50 minutes in
+  result = new ContestResult({ userId, contestId, totalScore: 150, solvedCount: 2, totalTime: 50 * 60 * 1000 });
+  jest.spyOn(Contest, 'findById').mockResolvedValue(new Contest({ _id: contestId, scoringMode: 'partial' }));
+  jest.spyOn(ContestResult, 'findOne').mockResolvedValue(result);
+  jest.spyOn(Submission, 'exists').mockResolvedValue(null);
+  jest.spyOn(Submission, 'find').mockReturnValue({ select: () => ({ sort: async () => [] }) });
+  jest.spyOn(result, 'save').mockResolvedValue(result);
+  // Keeps the judged totals; the replay itself is covered by the scoring specs
+  jest.spyOn(ContestResult.prototype, 'calculateTotals').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('submitFinalResults', () => {
+  test('records no discrepancy for matching totals, whatever time the client reports', async () => {
+    const { status } = await submit({ totalScore: 150, solvedCount: 2, totalTime: '01:42:10', penaltyPoints: 3 });
+
+    expect(status).toBe(200);
+    expect(result.isCompleted).toBe(true);
+    expect(result.discrepancies).toHaveLength(0);
+  });
+
+  test('records the score and solved count the client got wrong', async () => {
+    await submit({ totalScore: 200, solvedCount: 3 });
+
+    expect(result.discrepancies.map(({ field, reported, computed }) => [field, reported, computed])).toEqual([
+      ['totalScore', 200, 150],
+      ['solvedCount', 3, 2]
+    ]);
+  });
+});
@@ -0,0 +1,105 @@
+import { jest } from '@jest/globals';
+
+// Tool programs get canned sandbox results; these specs cover where they run
+const runSandboxed = jest.fn();
+const sandbox = await import('../src/utils/sandbox.js');
+jest.unstable_mockModule('../src/utils/sandbox.js', () => ({ ...sandbox, runSandboxed }));
+
+const { default: AdmZip } = await import('adm-zip');
+const { default: mongoose } = await import('mongoose');
+const { default: Problem } = await import('../src/models/Problem.js');
+const { CodeRunner } = await import('../src/utils/codeRunner.js');
+const { JudgeBusyError, judgeQueue } = await import('../src/utils/judgeQueue.js');
+const { generateTests, validateInputs } = await import('../src/utils/testGeneration.js');
+const { importProblem } = await import('../src/controllers/problemController.js');
+
+const makeProblem = (fields = {}) => new Problem({
+  title: 'Sum',
+  description: 'Add two numbers',
+  difficulty: 'Easy',
+  createdBy: new mongoose.Types.ObjectId(),
+  generator: { language: 'python', code: 'print(1, 2)' },
+  inputValidator: { language: 'python', code: 'input()' },
+  testCases: [{ generator: { args: ['--n', '2'], seed: 7 }, points: 10 }],
+  referenceSolutions: [{ name: 'main', language: 'python', code: 'print(3)', expectedVerdict: 'accepted' }],
+  ...fields
+});
+
+const finished = (fields = {}) => ({
+  stdout: '', stderr: '', exitCode: 0, signal: null, timedOut: false, outputLimitExceeded: false, ...fields
+});
+
+let slot;
+let prepare;
+
+beforeEach(() => {
+  runSandboxed.mockReset();
+  slot = jest.spyOn(judgeQueue, 'runExclusive').mockImplementation(task => task());
+  prepare = jest.spyOn(CodeRunner.prototype, 'prepare')
+    .mockImplementation(async (code, language) => ({ spec: { run: () => ['python3', ['main.py']] }, workDir: language }));
+  jest.spyOn(CodeRunner.prototype, 'release').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('generateTests', () => {
+  test('runs the generator and the main solution in judge slots', async () => {
+    runSandboxed.mockResolvedValue(finished({ stdout: '1 2\n' }));
+    jest.spyOn(CodeRunner.prototype, 'executeTestCase').mockResolvedValue({ status: 'accepted', output: '3\n' });
+    const problem = makeProblem();
+
+    await generateTests(problem);
+
+    expect(slot).toHaveBeenCalledTimes(2);
+    expect(runSandboxed.mock.calls[0][0].args).toEqual(['main.py', '--n', '2', '7']);
+    expect(problem.testCases[0]).toMatchObject({ input: '1 2\n', expectedOutput: '3\n' });
+  });
+
+  test('builds nothing when the judge has no room', async () => {
+    slot.mockRejectedValue(new JudgeBusyError());
+    await expect(generateTests(makeProblem())).rejects.toBeInstanceOf(JudgeBusyError);
+    expect(prepare).not.toHaveBeenCalled();
+  });
+});
+
+describe('validateInputs', () => {
+  test('runs the validator in a judge slot', async () => {
+    runSandboxed.mockResolvedValue(finished({ exitCode: 1, stderr: 'n out of range' }));
+    const problem = makeProblem({ testCases: [{ input: '0\n', expectedOutput: '0\n' }] });
+
+    expect(await validateInputs(problem)).toEqual([{ test: 1, message: 'n out of range' }]);
+    expect(slot).toHaveBeenCalledTimes(1);
+    expect(problem.inputValidator.lastRun).toMatchObject({ passed: false, failedTest: 1 });
+  });
+
+  test('builds nothing when the judge has no room', async () => {
+    slot.mockRejectedValue(new JudgeBusyError());
+    await expect(validateInputs(makeProblem())).rejects.toBeInstanceOf(JudgeBusyError);
+    expect(prepare).not.toHaveBeenCalled();
+  });
+});
+
+describe('importProblem', () => {
+  test('answers 503 when the judge has no room for the package', async () => {
+    slot.mockRejectedValue(new JudgeBusyError());
+    const save = jest.spyOn(Problem.prototype, 'save').mockResolvedValue();
+    const zip = new AdmZip();
+    zip.addFile('problem.json', Buffer.from(JSON.stringify({
+      title: 'Sum',
+      difficulty: 'Easy',
+      tests: { '01': { generator: { args: ['--n', '2'] } } },
+      solutions: { 'main.py': { expectedVerdict: 'accepted' } }
+    })));
+    zip.addFile('statement.md', Buffer.from('Add two numbers.'));
+    zip.addFile('generator/gen.py', Buffer.from('print(1, 2)'));
+    zip.addFile('solutions/main.py', Buffer.from('print(3)'));
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+
+    await importProblem({ file: { buffer: zip.toBuffer() }, user: { id: String(new mongoose.Types.ObjectId()) } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'The judge is busy, please retry shortly' });
+    expect(save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,60 @@
+import { VERDICTS, classifyRun, describeRuntimeError, overallVerdict, verdictCode } from '../src/utils/verdicts.js';
+
+const clean = { exitCode: 0, signal: null, passed: true };
+
+describe('classifyRun', () => {
+  test('accepts a clean, correct run', () => {
+    expect(classifyRun(clean)).toBe(VERDICTS.AC);
+  });
+
+  test('rejects a clean run with wrong output', () => {
+    expect(classifyRun({ ...clean, passed: false })).toBe(VERDICTS.WA);
+  });
+
+  test('treats a non-zero exit or a signal as a runtime error', () => {
+    expect(classifyRun({ ...clean, exitCode: 1 })).toBe(VERDICTS.RE);
+    expect(classifyRun({ ...clean, exitCode: null, signal: 'SIGSEGV' })).toBe(VERDICTS.RE);
+  });
+
+  test('puts limits ahead of how the process ended', () => {
+    const killed = { exitCode: null, signal: 'SIGKILL', passed: false };
+    expect(classifyRun({ ...killed, timeLimitExceeded: true, memoryLimitExceeded: true })).toBe(VERDICTS.TLE);
+    expect(classifyRun({ ...killed, memoryLimitExceeded: true, outputLimitExceeded: true })).toBe(VERDICTS.MLE);
+    expect(classifyRun({ ...killed, outputLimitExceeded: true })).toBe(VERDICTS.OLE);
+  });
+});
+
+describe('overallVerdict', () => {
+  test('is accepted when every test is', () => {
+    expect(overallVerdict([{ status: VERDICTS.AC }, { status: VERDICTS.AC }]))
+      .toEqual({ status: VERDICTS.AC, failedTest: null });
+  });
+
+  test('takes the first failing test in test order', () => {
+    const results = [VERDICTS.AC, VERDICTS.TLE, VERDICTS.WA].map(status => ({ status }));
+    expect(overallVerdict(results)).toEqual({ status: VERDICTS.TLE, failedTest: 2 });
+  });
+
+  test('accepts a problem without tests', () => {
+    expect(overallVerdict([])).toEqual({ status: VERDICTS.AC, failedTest: null });
+  });
+});
+
+describe('verdictCode', () => {
+  test('maps statuses to ICPC codes', () => {
+    expect(verdictCode('memory_limit_exceeded')).toBe('MLE');
+    expect(verdictCode('compilation_error')).toBe('CE');
+  });
+
+  test('has no code for statuses without a verdict', () => {
+    expect(verdictCode('pending')).toBeNull();
+    expect(verdictCode('internal_error')).toBeNull();
+  });
+});
+
+describe('describeRuntimeError', () => {
+  test('prefers the signal over the exit code', () => {
+    expect(describeRuntimeError({ exitCode: null, signal: 'SIGFPE' })).toBe('Killed by signal SIGFPE');
+    expect(describeRuntimeError({ exitCode: 3, signal: null })).toBe('Exited with code 3');
+  });
+});